@@ -0,0 +1,50 @@
+const express = require('express');
+const config = require('./config');
+const { cors } = require('./middleware/cors');
+const { LOCAL_URL_PATH } = require('./services/imageStorage');
+const system = require('./controllers/system');
+
+// Build the Express app without connecting to MongoDB or listening, so it can be
+// started by server.js or mounted directly in tests (e.g. against an in-memory Mongo).
+const createApp = () => {
+  const app = express();
+
+  // Client IPs for rate limiting come from X-Forwarded-For when behind a proxy
+  app.set('trust proxy', config.trustProxy);
+
+  app.use(cors);
+
+  // Body parsing - keep the raw bytes for payment webhook signature checks
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Images kept by the local image storage - nosniff so a browser never treats one as a page
+  app.use(LOCAL_URL_PATH, express.static(config.imageStorage.localDir, {
+    setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+  }));
+
+  app.use('/', require('./routes/system'));
+  app.use('/api', require('./routes'));
+
+  app.use(system.notFound);
+
+  // Error handler
+  app.use((err, req, res, next) => {
+    console.error('❌ Server error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: err.message
+    });
+  });
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+};
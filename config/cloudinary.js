@@ -0,0 +1,12 @@
+const cloudinary = require('cloudinary').v2;
+const config = require('./index');
+
+// Configure Cloudinary
+cloudinary.config(config.cloudinary);
+
+const isConfigured = () => Boolean(config.cloudinary.cloud_name);
+
+module.exports = {
+  cloudinary,
+  isConfigured,
+};
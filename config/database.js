@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const config = require('./index');
+const { hashPassword } = require('../services/auth');
+const { Admin } = require('../models');
+
+// Create the first owner account from ADMIN_EMAIL / ADMIN_PASSWORD if none exists
+async function seedOwner() {
+  const { email, password } = config.seedOwner;
+  if (!email || !password) return;
+
+  const owners = await Admin.countDocuments({ role: 'owner' });
+  if (owners > 0) return;
+
+  await Admin.create({
+    name: 'Owner',
+    email,
+    passwordHash: await hashPassword(password),
+    role: 'owner'
+  });
+  console.log(`👑 Owner account created for ${email}`);
+}
+
+// Sales reports use $dateTrunc, which MongoDB added in 5.0
+const MIN_MONGODB_MAJOR = 5;
+
+async function warnOnOldServer() {
+  try {
+    const { version } = await mongoose.connection.db.admin().buildInfo();
+    if (parseInt(version, 10) < MIN_MONGODB_MAJOR) {
+      console.warn(`⚠️ MongoDB ${version} is too old for sales reports - they need ${MIN_MONGODB_MAJOR}.0 or later`);
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not read the MongoDB version:', error.message);
+  }
+}
+
+// Connect to MongoDB and make sure there is an owner to sign in with
+async function connectDatabase(uri = config.mongoUri) {
+  await mongoose.connect(uri);
+  console.log('✅ MongoDB connected');
+  console.log('📊 Database:', mongoose.connection.name || 'foodOrders');
+  await warnOnOldServer();
+  await seedOwner();
+}
+
+module.exports = {
+  connectDatabase,
+  seedOwner,
+};
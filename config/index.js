@@ -0,0 +1,130 @@
+// App settings read from the environment. Services with their own settings
+// (payments, notifications, mail, auth tokens) still read theirs directly.
+const path = require('path');
+
+const env = process.env;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Per-route limits with any overrides from RATE_LIMITS (JSON) applied on top
+const withOverrides = (limits, json) => {
+  if (!json) return limits;
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`RATE_LIMITS must be valid JSON: ${error.message}`);
+  }
+  Object.entries(overrides).forEach(([route, buckets]) => {
+    Object.entries(buckets || {}).forEach(([bucket, limit]) => {
+      limits[route] = limits[route] || {};
+      limits[route][bucket] = { ...limits[route][bucket], ...limit };
+    });
+  });
+  return limits;
+};
+
+// A JSON setting, or `fallback` when it isn't set
+const jsonSetting = (name, fallback) => {
+  if (!env[name]) return fallback;
+  try {
+    return JSON.parse(env[name]);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON: ${error.message}`);
+  }
+};
+
+module.exports = {
+  env: env.NODE_ENV || 'development',
+  isProduction: env.NODE_ENV === 'production',
+  port: env.PORT || 5000,
+
+  // Proxy hops in front of the app (Render has one), so req.ip is the client's address
+  trustProxy: env.TRUST_PROXY !== undefined ? Number(env.TRUST_PROXY) : (env.RENDER ? 1 : 0),
+
+  // Use MongoDB Atlas for production, local for development
+  mongoUri: env.MONGODB_URI || 'mongodb://localhost:27017/foodOrders',
+
+  cloudinary: {
+    cloud_name: env.CLOUDINARY_CLOUD_NAME,
+    api_key: env.CLOUDINARY_API_KEY,
+    api_secret: env.CLOUDINARY_API_SECRET,
+  },
+
+  // Where uploaded images go: "cloudinary" or "local" (files under localDir, served at /uploads).
+  // Defaults to Cloudinary when it's configured, else local disk.
+  imageStorage: {
+    driver: env.IMAGE_STORAGE || (env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local'),
+    localDir: env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'),
+  },
+
+  // Public write endpoints: at most `max` requests per `windowMs` in each bucket (caller IP or email).
+  // Override with RATE_LIMITS, e.g. RATE_LIMITS='{"orders":{"perIp":{"max":30}}}'
+  rateLimits: withOverrides({
+    orders: {
+      perIp: { max: 10, windowMs: 15 * MINUTE },
+      perEmail: { max: 5, windowMs: 15 * MINUTE },
+    },
+    signup: {
+      perIp: { max: 10, windowMs: HOUR },
+      perEmail: { max: 5, windowMs: HOUR },
+    },
+    login: {
+      perIp: { max: 20, windowMs: 15 * MINUTE },
+    },
+    staffLogin: {
+      perIp: { max: 10, windowMs: 15 * MINUTE },
+      failedPerEmail: { max: 5, windowMs: 15 * MINUTE }, // failed attempts per IP + account email
+    },
+    tracking: {
+      perIp: { max: 30, windowMs: 15 * MINUTE },
+    },
+    paymentVerify: {
+      perIp: { max: 30, windowMs: 15 * MINUTE },
+    },
+  }, env.RATE_LIMITS),
+
+  // An order identical to one the same customer placed this recently is rejected as a duplicate
+  duplicateOrderWindowMs: (Number(env.DUPLICATE_ORDER_WINDOW_SECONDS) || 120) * 1000,
+
+  // Typical minutes per order stage, for the ETA shown when customers track an order
+  orderEta: {
+    confirmMinutes: Number(env.ETA_CONFIRM_MINUTES) || 10,
+    prepMinutes: Number(env.ETA_PREP_MINUTES) || 25,
+    deliveryMinutes: Number(env.ETA_DELIVERY_MINUTES) || 30,
+  },
+
+  // Pre-orders for a later delivery/pickup time. Opening hours are windows like a product's
+  // availabilityWindows, e.g. OPENING_HOURS='[{"days":[5,6],"start":"12:00","end":"23:30"}]'.
+  // Times are booked in slotMinutes slots of at most slotCapacity orders, between leadMinutes
+  // from now and maxDaysAhead days out.
+  scheduling: {
+    openingHours: jsonSetting('OPENING_HOURS', [{ days: [], start: '10:00', end: '22:00' }]),
+    slotMinutes: Number(env.SLOT_MINUTES) || 30,
+    slotCapacity: Number(env.SLOT_CAPACITY) || 5,
+    leadMinutes: Number(env.SCHEDULE_LEAD_MINUTES) || 60,
+    maxDaysAhead: Number(env.SCHEDULE_MAX_DAYS) || 7,
+  },
+
+  // First owner account, created on startup when there is none
+  seedOwner: {
+    email: env.ADMIN_EMAIL,
+    password: env.ADMIN_PASSWORD,
+  },
+
+  cors: {
+    origins: [
+      'http://localhost:3000',
+      'http://127.0.0.1:3000',
+      'https://obiggrills.netlify.app',
+      'https://obiggrills.netlify.app/'
+    ],
+  },
+
+  // Self-ping so the Render free tier doesn't sleep - only in production
+  keepAlive: {
+    enabled: env.NODE_ENV === 'production' || Boolean(env.RENDER_EXTERNAL_URL),
+    url: env.RENDER_EXTERNAL_URL || 'https://obiggrills-api.onrender.com',
+  },
+};
@@ -0,0 +1,140 @@
+const { hashPassword, verifyPassword, signToken, DUMMY_PASSWORD_HASH } = require('../services/auth');
+const { Admin } = require('../models');
+
+// Staff login
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // The password is always hashed, so unknown emails can't be told apart by response time
+    const admin = await Admin.findOne({ email });
+    const matches = await verifyPassword(password, admin ? admin.passwordHash : DUMMY_PASSWORD_HASH);
+    const valid = admin && admin.active && matches;
+
+    if (!valid) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Invalid email or password' 
+      });
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    res.json({ 
+      success: true,
+      token: signToken({ sub: String(admin._id), kind: 'admin', role: admin.role }),
+      admin 
+    });
+  } catch (error) {
+    console.error('❌ Admin login error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to log in'
+    });
+  }
+};
+
+// Current staff account
+const me = (req, res) => {
+  res.json({ 
+    success: true,
+    admin: req.admin 
+  });
+};
+
+// List staff accounts
+const listStaff = async (req, res) => {
+  try {
+    const staff = await Admin.find().sort({ createdAt: -1 });
+    res.json(staff);
+  } catch (error) {
+    console.error('❌ Error fetching staff:', error);
+    res.status(500).json({ message: 'Failed to fetch staff' });
+  }
+};
+
+// Create staff account
+const createStaff = async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+
+    const existing = await Admin.findOne({ email });
+    if (existing) {
+      return res.status(409).json({ 
+        success: false,
+        message: 'A staff account with this email already exists' 
+      });
+    }
+
+    const admin = await Admin.create({
+      name,
+      email,
+      passwordHash: await hashPassword(password),
+      role
+    });
+
+    res.status(201).json({ 
+      success: true,
+      message: 'Staff account created',
+      admin 
+    });
+  } catch (error) {
+    console.error('❌ Create staff error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Update staff role, status or password
+const updateStaff = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, role, active, password } = req.body;
+
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Staff account not found' 
+      });
+    }
+
+    // Owners can't lock themselves out
+    if (String(admin._id) === String(req.admin._id) && (active === false || (role && role !== 'owner'))) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'You cannot demote or disable your own account' 
+      });
+    }
+
+    if (name !== undefined) admin.name = name;
+    if (role !== undefined) admin.role = role;
+    if (active !== undefined) admin.active = active;
+    if (password !== undefined) admin.passwordHash = await hashPassword(password);
+
+    await admin.save();
+
+    res.json({ 
+      success: true,
+      message: 'Staff account updated',
+      admin 
+    });
+  } catch (error) {
+    console.error('❌ Update staff error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  login,
+  me,
+  listStaff,
+  createStaff,
+  updateStaff,
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { signToken } = require('../services/auth');
+const { sendMail } = require('../services/mailer');
+const { User } = require('../models');
+
+// Customer login codes
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+const OTP_RESEND_MS = 60 * 1000; // 1 minute between codes
+
+const OTP_MAX_ATTEMPTS = 5;
+
+const CUSTOMER_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+const hashOtp = (email, code) => crypto.createHash('sha256').update(`${email}:${code}`).digest('hex');
+
+// Request a one-time login code by email
+const requestOtp = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    let user = await User.findOne({ email }).select('+otpRequestedAt');
+    if (!user) {
+      user = new User({ email, nickname: email.split('@')[0] });
+    }
+
+    if (user.otpRequestedAt && Date.now() - user.otpRequestedAt.getTime() < OTP_RESEND_MS) {
+      return res.status(429).json({ 
+        success: false,
+        message: 'Please wait a minute before requesting another code' 
+      });
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    user.otpHash = hashOtp(email, code);
+    user.otpExpiresAt = new Date(Date.now() + OTP_TTL_MS);
+    user.otpAttempts = 0;
+    user.otpRequestedAt = new Date();
+    await user.save();
+
+    await sendMail({
+      to: email,
+      subject: 'Your OBIGGRILLS login code',
+      text: `Your OBIGGRILLS login code is ${code}. It expires in 10 minutes. If you didn't request it, you can ignore this email.`
+    });
+
+    res.json({ 
+      success: true,
+      message: 'Login code sent' 
+    });
+  } catch (error) {
+    console.error('❌ OTP request error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to send login code'
+    });
+  }
+};
+
+// Exchange a login code for a customer token
+const verifyOtp = async (req, res) => {
+  try {
+    const { email, code } = req.body;
+
+    const user = await User.findOne({ email }).select('+otpHash +otpExpiresAt +otpAttempts');
+
+    if (!user || !user.otpHash || !user.otpExpiresAt || user.otpExpiresAt < new Date()) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Code expired. Please request a new one.' 
+      });
+    }
+
+    if (user.otpAttempts >= OTP_MAX_ATTEMPTS) {
+      return res.status(429).json({ 
+        success: false,
+        message: 'Too many attempts. Please request a new code.' 
+      });
+    }
+
+    if (hashOtp(email, code) !== user.otpHash) {
+      user.otpAttempts += 1;
+      await user.save();
+      return res.status(401).json({ 
+        success: false,
+        message: 'Invalid code' 
+      });
+    }
+
+    // Codes are single-use
+    user.otpHash = undefined;
+    user.otpExpiresAt = undefined;
+    user.otpAttempts = 0;
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({ 
+      success: true,
+      token: signToken({ sub: String(user._id), kind: 'customer' }, CUSTOMER_TOKEN_TTL_SECONDS),
+      user 
+    });
+  } catch (error) {
+    console.error('❌ OTP verify error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to verify code'
+    });
+  }
+};
+
+module.exports = {
+  requestOtp,
+  verifyOtp,
+};
@@ -0,0 +1,137 @@
+const { imageFields, imageRefOf, removeImage } = require('../services/imageStorage');
+const { Category, Product } = require('../models');
+
+// List categories - active ones only unless staff ask for everything
+const list = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive ? {} : { active: true };
+    const categories = await Category.find(filter).sort({ displayOrder: 1, name: 1 });
+    res.json(categories);
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ message: 'Failed to fetch categories' });
+  }
+};
+
+// Create category (optional image upload)
+const create = async (req, res) => {
+  try {
+    const fields = req.body;
+
+    if (req.file) Object.assign(fields, imageFields(req.file));
+    if (fields.displayOrder === undefined) {
+      fields.displayOrder = await Category.countDocuments();
+    }
+
+    const category = await Category.create(fields);
+
+    res.status(201).json({ 
+      success: true,
+      message: 'Category created successfully',
+      category 
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+    console.error('❌ Error creating category:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to create category',
+      error: error.message 
+    });
+  }
+};
+
+// Update category (optional image upload)
+const update = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fields = req.body;
+
+    const category = await Category.findById(id);
+    if (!category) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Category not found' 
+      });
+    }
+
+    // A new image - uploaded or linked - replaces the old one, which is removed once saved
+    if (req.file) Object.assign(fields, imageFields(req.file));
+    else if (fields.imageUrl !== undefined) fields.imageRef = null;
+    const replacedImage = fields.imageUrl !== undefined && fields.imageUrl !== category.imageUrl
+      ? imageRefOf(category)
+      : null;
+
+    category.set(fields);
+    await category.save();
+    await removeImage(replacedImage);
+
+    res.json({ 
+      success: true,
+      message: 'Category updated successfully',
+      category 
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+    console.error('❌ Error updating category:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to update category',
+      error: error.message 
+    });
+  }
+};
+
+// Delete category - only when no products use it
+const remove = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const productCount = await Product.countDocuments({ category: id });
+    if (productCount > 0) {
+      return res.status(409).json({ 
+        success: false,
+        message: `Category still has ${productCount} product(s). Move or delete them first, or deactivate the category.`
+      });
+    }
+
+    const deleted = await Category.findByIdAndDelete(id);
+    if (!deleted) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Category not found' 
+      });
+    }
+
+    await removeImage(imageRefOf(deleted));
+
+    res.json({ 
+      success: true,
+      message: 'Category deleted successfully' 
+    });
+  } catch (error) {
+    console.error('❌ Error deleting category:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to delete category',
+      error: error.message 
+    });
+  }
+};
+
+module.exports = {
+  list,
+  create,
+  update,
+  remove,
+};
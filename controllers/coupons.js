@@ -0,0 +1,176 @@
+const { normalizeCode } = require('../services/coupons');
+const { Coupon } = require('../models');
+const { quoteCoupon, priceOrder } = require('../services/checkout');
+
+// Rules that span fields, checked against the coupon as it will be saved
+const couponRulesError = (coupon) => {
+  if (coupon.type === 'percentage' && coupon.value > 100) return 'A percentage coupon can be at most 100';
+  return null;
+};
+
+// Check a promo code against the cart - same pricing as checkout, nothing is redeemed
+const check = async (req, res) => {
+  try {
+    const { code, email } = req.body;
+
+    const pricing = await priceOrder(req.body);
+    const customerEmail = req.user ? req.user.email : email;
+    const { coupon, discount, total } = await quoteCoupon(code, customerEmail, pricing);
+
+    res.json({ 
+      success: true,
+      message: 'Promo code applied',
+      coupon: {
+        code: coupon.code,
+        description: coupon.description,
+        type: coupon.type,
+        value: coupon.value
+      },
+      subtotal: pricing.subtotal,
+      discount,
+      deliveryFee: pricing.deliveryFee,
+      total 
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('❌ Error validating coupon:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to validate promo code',
+      error: error.message 
+    });
+  }
+};
+
+// List coupons
+const list = async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({ message: 'Failed to fetch coupons' });
+  }
+};
+
+// Create coupon
+const create = async (req, res) => {
+  try {
+    const fields = { ...req.body, code: normalizeCode(req.body.code) };
+    const error = couponRulesError(fields);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error
+      });
+    }
+
+    const coupon = await Coupon.create(fields);
+
+    res.status(201).json({ 
+      success: true,
+      message: 'Coupon created successfully',
+      coupon 
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+    console.error('❌ Error creating coupon:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to create coupon',
+      error: error.message 
+    });
+  }
+};
+
+// Update coupon - usage count is only changed by checkout
+const update = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Coupon not found' 
+      });
+    }
+
+    const fields = req.body.code !== undefined ? { ...req.body, code: normalizeCode(req.body.code) } : req.body;
+    const error = couponRulesError({ type: coupon.type, value: coupon.value, ...fields });
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error
+      });
+    }
+
+    coupon.set(fields);
+    await coupon.save();
+
+    res.json({ 
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon 
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+    console.error('❌ Error updating coupon:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to update coupon',
+      error: error.message 
+    });
+  }
+};
+
+// Delete coupon - past orders keep their own snapshot of the code and discount
+const remove = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await Coupon.findByIdAndDelete(id);
+    if (!deleted) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Coupon not found' 
+      });
+    }
+
+    res.json({ 
+      success: true,
+      message: 'Coupon deleted successfully' 
+    });
+  } catch (error) {
+    console.error('❌ Error deleting coupon:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to delete coupon',
+      error: error.message 
+    });
+  }
+};
+
+module.exports = {
+  check,
+  list,
+  create,
+  update,
+  remove,
+};
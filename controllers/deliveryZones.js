@@ -0,0 +1,117 @@
+const { DeliveryZone } = require('../models');
+
+// List delivery zones - active ones only unless staff ask for everything
+const list = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive ? {} : { active: true };
+    const zones = await DeliveryZone.find(filter).sort({ displayOrder: 1, name: 1 });
+    res.json(zones);
+  } catch (error) {
+    console.error('Error fetching delivery zones:', error);
+    res.status(500).json({ message: 'Failed to fetch delivery zones' });
+  }
+};
+
+// Create delivery zone
+const create = async (req, res) => {
+  try {
+    const fields = req.body;
+
+    if (fields.displayOrder === undefined) {
+      fields.displayOrder = await DeliveryZone.countDocuments();
+    }
+
+    const zone = await DeliveryZone.create(fields);
+
+    res.status(201).json({ 
+      success: true,
+      message: 'Delivery zone created successfully',
+      zone 
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false,
+        message: 'A delivery zone with this name already exists'
+      });
+    }
+    console.error('❌ Error creating delivery zone:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to create delivery zone',
+      error: error.message 
+    });
+  }
+};
+
+// Update delivery zone
+const update = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fields = req.body;
+
+    const zone = await DeliveryZone.findById(id);
+    if (!zone) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Delivery zone not found' 
+      });
+    }
+
+    zone.set(fields);
+    await zone.save();
+
+    res.json({ 
+      success: true,
+      message: 'Delivery zone updated successfully',
+      zone 
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false,
+        message: 'A delivery zone with this name already exists'
+      });
+    }
+    console.error('❌ Error updating delivery zone:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to update delivery zone',
+      error: error.message 
+    });
+  }
+};
+
+// Delete delivery zone - past orders keep their own snapshot of the zone
+const remove = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await DeliveryZone.findByIdAndDelete(id);
+    if (!deleted) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Delivery zone not found' 
+      });
+    }
+
+    res.json({ 
+      success: true,
+      message: 'Delivery zone deleted successfully' 
+    });
+  } catch (error) {
+    console.error('❌ Error deleting delivery zone:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to delete delivery zone',
+      error: error.message 
+    });
+  }
+};
+
+module.exports = {
+  list,
+  create,
+  update,
+  remove,
+};
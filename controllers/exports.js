@@ -0,0 +1,59 @@
+const reports = require('../services/reports');
+const exportsService = require('../services/exports');
+const { User, Product, Order } = require('../models');
+
+// Query for each export dataset from ?from=&to= (created date) plus dataset filters
+const exportQueries = {
+  orders: (filter) => Order.find(filter).sort({ createdAt: 1 }),
+  'order-items': (filter) => Order.find(filter).sort({ createdAt: 1 }),
+  customers: (filter) => User.find(filter).sort({ createdAt: 1 }),
+  products: (filter) => Product.find(filter).populate('category', 'name').sort({ name: 1 }),
+};
+
+// Download orders, order-items, customers or products as CSV or XLSX
+// ?format=csv|xlsx&from=YYYY-MM-DD&to=YYYY-MM-DD&columns=orderId,total,...&status=delivered,cancelled
+const download = async (req, res) => {
+  try {
+    const { dataset } = req.params;
+    const { format } = req.query;
+
+    if (!exportQueries[dataset]) {
+      return res.status(404).json({ 
+        success: false,
+        message: `Unknown export: ${dataset}. Available: ${Object.keys(exportQueries).join(', ')}` 
+      });
+    }
+
+    const { columns, error: columnsError } = exportsService.pickColumns(dataset, req.query.columns);
+    const { range, error: rangeError } = reports.dateRangeFilter(req.query);
+    if (columnsError || rangeError) {
+      return res.status(400).json({ 
+        success: false,
+        message: columnsError || rangeError 
+      });
+    }
+
+    const filter = {};
+    if (range) filter.createdAt = range;
+    if ((dataset === 'orders' || dataset === 'order-items') && req.query.status) {
+      filter.status = { $in: req.query.status };
+    }
+
+    const cursor = exportQueries[dataset](filter).lean().cursor();
+    await exportsService.streamExport({ cursor, datasetName: dataset, columns, format, res });
+  } catch (error) {
+    console.error('❌ Export error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to export data',
+      error: error.message 
+    });
+  }
+};
+
+module.exports = {
+  download,
+};
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { User, Order } = require('../models');
+const { profileUpdates } = require('../validators/accounts');
+
+// Current customer profile
+const getProfile = (req, res) => {
+  res.json(req.user);
+};
+
+// Update own profile
+const updateProfile = async (req, res) => {
+  try {
+    const updated = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: profileUpdates(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    res.json({ 
+      success: true,
+      message: 'Profile updated successfully',
+      user: updated 
+    });
+  } catch (error) {
+    console.error('❌ Update profile error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Own order history
+const listOrders = async (req, res) => {
+  try {
+    const orders = await Order.find({ 'customer.email': req.user.email }).sort({ createdAt: -1 });
+    res.json(orders);
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ message: 'Failed to fetch orders' });
+  }
+};
+
+// Saved addresses
+const listAddresses = (req, res) => {
+  res.json(req.user.addresses);
+};
+
+// Add address
+const addAddress = async (req, res) => {
+  try {
+    const { name, address, isDefault } = req.body;
+
+    const user = req.user;
+    const makeDefault = isDefault || user.addresses.length === 0;
+    if (makeDefault) {
+      user.addresses.forEach(a => { a.isDefault = false; });
+    }
+
+    user.addresses.push({ name, address, isDefault: makeDefault });
+    await user.save();
+
+    res.status(201).json({ 
+      success: true,
+      message: 'Address added',
+      addresses: user.addresses 
+    });
+  } catch (error) {
+    console.error('❌ Add address error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Update address
+const updateAddress = async (req, res) => {
+  try {
+    const user = req.user;
+    const entry = mongoose.Types.ObjectId.isValid(req.params.addressId) && user.addresses.id(req.params.addressId);
+
+    if (!entry) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Address not found' 
+      });
+    }
+
+    const { name, address, isDefault } = req.body;
+
+    if (name !== undefined) entry.name = name;
+    if (address !== undefined) entry.address = address;
+    if (isDefault === true) {
+      user.addresses.forEach(a => { a.isDefault = false; });
+      entry.isDefault = true;
+    }
+    await user.save();
+
+    res.json({ 
+      success: true,
+      message: 'Address updated',
+      addresses: user.addresses 
+    });
+  } catch (error) {
+    console.error('❌ Update address error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Remove address
+const removeAddress = async (req, res) => {
+  try {
+    const user = req.user;
+    const entry = mongoose.Types.ObjectId.isValid(req.params.addressId) && user.addresses.id(req.params.addressId);
+
+    if (!entry) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Address not found' 
+      });
+    }
+
+    const wasDefault = entry.isDefault;
+    entry.deleteOne();
+    if (wasDefault && user.addresses.length > 0) {
+      user.addresses[0].isDefault = true;
+    }
+    await user.save();
+
+    res.json({ 
+      success: true,
+      message: 'Address removed',
+      addresses: user.addresses 
+    });
+  } catch (error) {
+    console.error('❌ Remove address error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  listOrders,
+  listAddresses,
+  addAddress,
+  updateAddress,
+  removeAddress,
+};
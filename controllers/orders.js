@@ -0,0 +1,536 @@
+const config = require('../config');
+const payments = require('../services/payments');
+const orderEvents = require('../services/orderEvents');
+const { ROLE_RANK } = require('../middleware/auth');
+const { REQUIRED_ROLE, CUSTOMER_CANCELLABLE } = require('../services/orderStatus');
+const { Coupon, Order, Refund } = require('../models');
+const { actorFromAdmin, notifyOrder, transitionOrder } = require('../services/orderLifecycle');
+const { nextOrderNumber } = require('../services/orderNumbers');
+const { matchesContact, trackingView } = require('../services/orderTracking');
+const { cancelOrder, refundOrder, recheckRefund } = require('../services/refunds');
+const { checkRequestedTime, reserveSlot, releaseSlot } = require('../services/slots');
+const {
+  roundMoney,
+  reserveStock,
+  restoreStock,
+  quoteCoupon,
+  redeemCoupon,
+  priceOrder,
+  orderFingerprint,
+  rejectDuplicateOrder,
+  rejectUsedPaymentReference,
+  isPaymentReferenceConflict,
+  paymentReferenceUsed,
+} = require('../services/checkout');
+
+// Create order - guests allowed; a signed-in customer's orders are tied to their account email.
+// With requestedAt it's a pre-order: it books a slot and waits as "scheduled" until its kitchen time.
+const create = async (req, res) => {
+  try {
+    const order = req.body;
+
+    // Per-customer coupon limits and order history are keyed on this email
+    const customerEmail = req.user ? req.user.email : order.customer.email;
+
+    const pricing = await priceOrder(order);
+
+    let discount = 0;
+    let coupon = null;
+    if (order.couponCode) {
+      const quote = await quoteCoupon(order.couponCode, customerEmail, pricing);
+      discount = quote.discount;
+      coupon = quote.coupon;
+      pricing.total = quote.total;
+    }
+
+    // Reject checkouts whose displayed total no longer matches the catalog
+    const clientTotal = order.total;
+    if (clientTotal !== undefined && roundMoney(clientTotal) !== pricing.total) {
+      return res.status(409).json({
+        success: false,
+        code: 'PRICE_MISMATCH',
+        message: 'Order total has changed. Please review your cart and try again.',
+        expected: {
+          items: pricing.items,
+          subtotal: pricing.subtotal,
+          discount,
+          deliveryFee: pricing.deliveryFee,
+          total: pricing.total
+        },
+        received: { total: clientTotal }
+      });
+    }
+
+    const fingerprint = orderFingerprint(customerEmail, pricing, order.requestedAt);
+    await rejectDuplicateOrder(fingerprint, config.duplicateOrderWindowMs);
+    await rejectUsedPaymentReference(order.paymentReference);
+
+    const schedule = order.requestedAt
+      ? checkRequestedTime(order.requestedAt, { isDelivery: Boolean(pricing.deliveryLocation && pricing.deliveryLocation.id) })
+      : null;
+    // Due in the kitchen already (e.g. booked at the minimum notice) - no need to wait
+    const status = schedule && schedule.releaseAt > new Date() ? 'scheduled' : 'received';
+
+    const orderData = {
+      customer: {
+        name: order.customer.name,
+        address: order.customer.address,
+        phone: order.customer.phone,
+        email: customerEmail,
+      },
+      items: pricing.items,
+      subtotal: pricing.subtotal,
+      discount,
+      coupon: coupon
+        ? { id: String(coupon._id), code: coupon.code, type: coupon.type, value: coupon.value, redeemed: true }
+        : undefined,
+      deliveryFee: pricing.deliveryFee,
+      deliveryLocation: pricing.deliveryLocation,
+      total: pricing.total,
+      paymentMethod: order.paymentMethod,
+      paymentReference: order.paymentReference || null,
+      // Never trust a client-reported payment status - it's set by verification or webhook
+      paymentStatus: 'pending',
+      payment: { provider: payments.providerForMethod(order.paymentMethod) },
+      requestedAt: schedule ? schedule.requestedAt : undefined,
+      releaseAt: schedule ? schedule.releaseAt : undefined,
+      orderReference: order.orderReference || null,
+      fingerprint,
+      status,
+      statusHistory: [{
+        status,
+        by: req.user
+          ? { kind: 'customer', id: String(req.user._id), name: req.user.name }
+          : { kind: 'guest', name: order.customer.name }
+      }],
+    };
+
+    // Numbered before anything is held, so a counter failure has nothing to give back
+    // (an order that fails after this leaves a gap in the day's numbers)
+    orderData.orderNumber = await nextOrderNumber();
+
+    orderData.stockReservations = await reserveStock(pricing.items);
+
+    if (coupon) {
+      try {
+        await redeemCoupon(coupon);
+      } catch (error) {
+        await restoreStock(orderData.stockReservations);
+        throw error;
+      }
+    }
+
+    if (schedule) {
+      try {
+        await reserveSlot(schedule.requestedAt);
+      } catch (error) {
+        await restoreStock(orderData.stockReservations);
+        if (coupon) {
+          await Coupon.updateOne({ _id: coupon._id }, { $inc: { usageCount: -1 } });
+        }
+        throw error;
+      }
+    }
+
+    const newOrder = new Order(orderData);
+    try {
+      await newOrder.save();
+    } catch (error) {
+      await restoreStock(orderData.stockReservations);
+      if (coupon) {
+        await Coupon.updateOne({ _id: coupon._id }, { $inc: { usageCount: -1 } });
+      }
+      if (schedule) {
+        await releaseSlot(schedule.requestedAt);
+      }
+      throw isPaymentReferenceConflict(error) ? paymentReferenceUsed() : error;
+    }
+
+    notifyOrder(status, newOrder);
+
+    orderEvents.publish('order.created', {
+      orderId: String(newOrder._id),
+      status: newOrder.status,
+      order: newOrder
+    });
+    
+    res.status(201).json({ 
+      message: 'Order placed successfully', 
+      orderId: newOrder._id,
+      order: newOrder
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('❌ Error saving order:', error);
+    res.status(500).json({ message: 'Failed to save order', error: error.message });
+  }
+};
+
+// Get orders (staff - customers use /api/me/orders)
+const list = async (req, res) => {
+  try {
+    const { email, status } = req.query;
+    
+    const filter = {};
+    if (email) {
+      filter['customer.email'] = email;
+    }
+    if (status && status.length > 0) {
+      filter.status = { $in: status };
+    }
+    
+    const orders = await Order.find(filter).sort({ createdAt: -1 });
+    res.json(orders);
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ message: 'Failed to fetch orders' });
+  }
+};
+
+// Live feed of new orders and status changes for the dashboard (Server-Sent Events).
+// Reconnecting clients send Last-Event-ID to receive what they missed.
+const streamAll = (req, res) => {
+  orderEvents.stream(req, res, event => event.data);
+};
+
+// Live status of one order for the customer who placed it (Server-Sent Events).
+// Signed-in customers are matched by account; guests pass the order's email as ?email=
+const streamOne = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findById(id);
+    const email = req.user ? req.user.email : req.query.email;
+    if (!order || !email || String(order.customer.email).toLowerCase() !== email) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Order not found' 
+      });
+    }
+
+    const orderId = String(order._id);
+    orderEvents.stream(
+      req,
+      res,
+      event => (event.type === 'order.status_changed' && event.data.orderId === orderId
+        ? { orderId, status: event.data.status, previousStatus: event.data.previousStatus }
+        : null),
+      { type: 'order.snapshot', data: { orderId, status: order.status, paymentStatus: order.paymentStatus } }
+    );
+  } catch (error) {
+    console.error('❌ Error opening order stream:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to open order updates' 
+    });
+  }
+};
+
+// Notification delivery log for an order
+const listNotifications = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findById(id).select('+notifications');
+    if (!order) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Order not found' 
+      });
+    }
+
+    res.json({ 
+      success: true,
+      notifications: order.notifications 
+    });
+  } catch (error) {
+    console.error('Error fetching order notifications:', error);
+    res.status(500).json({ message: 'Failed to fetch order notifications' });
+  }
+};
+
+// Public order tracking by order number. The customer's email or phone must match the order;
+// anything else gets the same 404 as an unknown number, so numbers can't be probed.
+const track = async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    const { email, phone } = req.query;
+
+    if (!email && !phone) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Enter the email or phone number used for the order' 
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber: orderNumber.toUpperCase() });
+    if (!order || !matchesContact(order, { email, phone })) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Order not found' 
+      });
+    }
+
+    res.json({ 
+      success: true,
+      order: trackingView(order) 
+    });
+  } catch (error) {
+    console.error('❌ Error tracking order:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to track order' 
+    });
+  }
+};
+
+// Cancel an order. Staff may cancel until it's delivered but must give a reason; customers may
+// cancel only before the kitchen starts on it, matched by account or by the order's email/phone.
+// Orders paid online are refunded in full straight away.
+const cancel = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, email, phone } = req.body;
+
+    let actor;
+    let from;
+    if (req.admin) {
+      if (!reason) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'A reason is required to cancel an order' 
+        });
+      }
+      actor = actorFromAdmin(req.admin);
+    } else {
+      const order = await Order.findById(id);
+      const contact = req.user ? { email: req.user.email } : { email, phone };
+      if (!order || !matchesContact(order, contact)) {
+        return res.status(404).json({ 
+          success: false,
+          message: 'Order not found' 
+        });
+      }
+      actor = req.user
+        ? { kind: 'customer', id: String(req.user._id), name: req.user.name }
+        : { kind: 'guest', name: order.customer.name };
+      from = CUSTOMER_CANCELLABLE;
+    }
+
+    const { order, refund } = await cancelOrder(id, actor, reason, { from });
+
+    res.json({ 
+      success: true,
+      message: 'Order cancelled',
+      order,
+      refund 
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('❌ Error cancelling order:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to cancel order',
+      error: error.message 
+    });
+  }
+};
+
+// Refund part or the rest of a cancelled or delivered order through its payment provider
+const refund = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Order not found' 
+      });
+    }
+
+    const result = await refundOrder(order, { amount, reason, actor: actorFromAdmin(req.admin) });
+
+    if (result.refund.status === 'failed') {
+      return res.status(502).json({ 
+        success: false,
+        message: `Refund failed: ${result.refund.error || 'declined by the provider'}`,
+        refund: result.refund,
+        order: result.order 
+      });
+    }
+
+    res.status(201).json({ 
+      success: true,
+      message: result.refund.status === 'processed' ? 'Refund processed' : 'Refund requested',
+      refund: result.refund,
+      order: result.order 
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('❌ Error refunding order:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to refund order',
+      error: error.message 
+    });
+  }
+};
+
+// Refunds made for an order, newest first
+const listRefunds = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Order not found' 
+      });
+    }
+
+    const refunds = await Refund.find({ order: order._id }).sort({ createdAt: -1 });
+    res.json({ 
+      success: true,
+      refundStatus: order.refundStatus,
+      refundedAmount: order.refundedAmount,
+      refunds 
+    });
+  } catch (error) {
+    console.error('Error fetching order refunds:', error);
+    res.status(500).json({ message: 'Failed to fetch order refunds' });
+  }
+};
+
+// Ask the payment provider again about a refund still pending (when its webhook never came)
+const checkRefund = async (req, res) => {
+  try {
+    const { id, refundId } = req.params;
+
+    const pending = await Refund.findOne({ _id: refundId, order: id });
+    if (!pending) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Refund not found' 
+      });
+    }
+
+    const { refund: checked, order } = await recheckRefund(pending);
+
+    res.json({ 
+      success: true,
+      message: `Refund is ${checked.status}`,
+      refund: checked,
+      order 
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('❌ Error checking refund:', error);
+    res.status(502).json({ 
+      success: false,
+      message: 'Could not check the refund with the provider',
+      error: error.message 
+    });
+  }
+};
+
+// Update order status. Cancelling this way follows the same rules as POST /:id/cancel, with the note as the reason.
+// Only a refund through POST /:id/refunds marks an order refunded.
+const updateStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (status === 'refunded') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Refund the order through POST /api/orders/:id/refunds instead' 
+      });
+    }
+
+    if (ROLE_RANK[req.admin.role] < ROLE_RANK[REQUIRED_ROLE[status]]) {
+      return res.status(403).json({ 
+        success: false,
+        message: `Requires ${REQUIRED_ROLE[status]} access to mark an order ${status}` 
+      });
+    }
+
+    if (status === 'cancelled') {
+      if (!note) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'A reason is required to cancel an order' 
+        });
+      }
+      const { order, refund: cancelRefund } = await cancelOrder(id, actorFromAdmin(req.admin), note);
+      return res.json({ 
+        success: true,
+        message: 'Order status updated successfully',
+        order,
+        refund: cancelRefund 
+      });
+    }
+
+    const { order: updatedOrder } = await transitionOrder(id, status, actorFromAdmin(req.admin), note);
+    
+    res.json({ 
+      success: true,
+      message: 'Order status updated successfully',
+      order: updatedOrder 
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+    console.error('❌ Error updating order:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to update order status',
+      error: error.message 
+    });
+  }
+};
+
+module.exports = {
+  create,
+  list,
+  streamAll,
+  streamOne,
+  listNotifications,
+  track,
+  cancel,
+  refund,
+  listRefunds,
+  checkRefund,
+  updateStatus,
+};
@@ -0,0 +1,159 @@
+const payments = require('../services/payments');
+const { rules, checkSchema } = require('../services/validation');
+const { Order } = require('../models');
+const { applyPaymentResult } = require('../services/orderLifecycle');
+const { applyRefundEvent } = require('../services/refunds');
+
+// Verify a payment by reference with the gateway and update the order. Anyone holding a reference
+// may call this, so the answer is just the payment status - no customer details.
+const verify = async (req, res) => {
+  try {
+    const { reference } = req.body;
+
+    const order = await Order.findOne({ paymentReference: reference });
+    if (!order) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'No order found for this payment reference' 
+      });
+    }
+
+    const providerName = order.payment && order.payment.provider;
+    const provider = payments.getProvider(providerName);
+    if (!provider) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Order is not paid through an online provider (${order.paymentMethod})` 
+      });
+    }
+
+    if (order.paymentStatus === 'paid') {
+      return res.json({ 
+        success: true,
+        message: 'Payment already verified',
+        paymentStatus: order.paymentStatus,
+        orderId: order._id,
+        orderNumber: order.orderNumber 
+      });
+    }
+
+    const result = await provider.verify(reference);
+    const { order: updated } = await applyPaymentResult(order, result);
+
+    res.json({ 
+      success: true,
+      message: `Payment ${result.status}`,
+      paymentStatus: updated.paymentStatus,
+      orderId: updated._id,
+      orderNumber: updated.orderNumber 
+    });
+  } catch (error) {
+    console.error('❌ Payment verify error:', error);
+    res.status(502).json({ 
+      success: false,
+      message: 'Could not verify payment with the provider',
+      error: error.message 
+    });
+  }
+};
+
+// Simulate a customer paying through the fake gateway (local development only)
+const fakeCharge = (req, res) => {
+  if (!payments.getProvider('fake')) {
+    return res.status(404).json({ 
+      success: false,
+      message: 'Route not found: POST /api/payments/fake/charge' 
+    });
+  }
+
+  // Checked here rather than by middleware so the route stays hidden when the fake gateway is off
+  const { value, errors } = checkSchema({
+    reference: rules.string({ required: true, max: 200, label: 'Reference' }),
+    amount: rules.number({ required: true, positive: true, label: 'Amount' }),
+    currency: rules.string({ max: 3 }),
+    status: rules.oneOf(['success', 'failed'], { default: 'success' })
+  }, req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ 
+      success: false,
+      message: errors[0].message,
+      errors 
+    });
+  }
+
+  const transaction = payments.fake.createTransaction(value);
+
+  res.status(201).json({ 
+    success: true,
+    transaction 
+  });
+};
+
+// Gateway webhooks - signature checked against the raw request body
+const webhook = async (req, res) => {
+  try {
+    const provider = payments.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Unknown payment provider' 
+      });
+    }
+
+    if (!provider.isValidWebhook(req.rawBody, req.headers)) {
+      console.warn(`⚠️ Rejected ${req.params.provider} webhook with bad signature`);
+      return res.status(401).json({ 
+        success: false,
+        message: 'Invalid signature' 
+      });
+    }
+
+    const refundEvent = provider.parseRefundWebhook && provider.parseRefundWebhook(req.body);
+    if (refundEvent) {
+      const settled = await applyRefundEvent(req.params.provider, refundEvent);
+      if (!settled) {
+        console.warn(`⚠️ ${req.params.provider} refund webhook for unknown refund: ${refundEvent.refundId || refundEvent.reference}`);
+        return res.json({ received: true, ignored: true });
+      }
+      console.log(`💸 ${req.params.provider} webhook ${refundEvent.eventId}: refund ${settled.refund._id} is ${settled.refund.status}`);
+      return res.json({ received: true });
+    }
+
+    const event = provider.parseWebhook(req.body);
+    if (!event) {
+      return res.json({ received: true, ignored: true });
+    }
+
+    const order = await Order.findOne({ paymentReference: event.reference });
+    if (!order) {
+      console.warn(`⚠️ Webhook for unknown payment reference: ${event.reference}`);
+      return res.json({ received: true, ignored: true });
+    }
+
+    // Only the gateway the order is paid through may settle it
+    if (!order.payment || order.payment.provider !== req.params.provider) {
+      console.warn(`⚠️ Rejected ${req.params.provider} webhook for order ${order._id} paid through ${order.payment && order.payment.provider}`);
+      return res.status(400).json({ 
+        success: false,
+        message: 'Payment reference belongs to another provider' 
+      });
+    }
+
+    const { order: updated, changed } = await applyPaymentResult(order, event, event.eventId);
+    console.log(`💳 ${req.params.provider} webhook ${event.eventId}: order ${updated._id} is ${updated.paymentStatus}${changed ? '' : ' (no change)'}`);
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('❌ Payment webhook error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+};
+
+module.exports = {
+  verify,
+  fakeCharge,
+  webhook,
+};
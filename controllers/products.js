@@ -0,0 +1,441 @@
+const multer = require('multer');
+const mongoose = require('mongoose');
+const slugify = require('../services/slugify');
+const { readImportRows } = require('../services/productImport');
+const { checkSchema } = require('../services/validation');
+const { imageFields, imageRefOf, removeImage } = require('../services/imageStorage');
+const { Category, Product } = require('../models');
+const { productInput, PRODUCT_SORTS } = require('../validators/catalog');
+
+// Category fields embedded in product responses
+const CATEGORY_SUMMARY = 'name slug displayOrder imageUrl active';
+
+// Checks that need the database, after productInput has passed
+const productReferencesError = async (fields) => {
+  if (!await Category.exists({ _id: fields.category })) return 'Product category not found';
+  return null;
+};
+
+// Create product with an optional image upload
+const create = async (req, res) => {
+  try {
+    console.log('🔵 POST /api/products called');
+    console.log('🔵 Request body:', req.body);
+    console.log('🔵 Request file:', req.file ? {
+      fieldname: req.file.fieldname,
+      originalname: req.file.originalname,
+      filename: req.file.filename,
+      path: req.file.path,
+      size: req.file.size
+    } : 'No file uploaded');
+    
+    const fields = req.body;
+    const referencesError = await productReferencesError(fields);
+    if (referencesError) {
+      return res.status(400).json({ 
+        success: false,
+        message: referencesError
+      });
+    }
+
+    const image = req.file ? imageFields(req.file) : { imageUrl: '' };
+    console.log('🖼️ Product image URL:', image.imageUrl);
+
+    const productData = {
+      optionGroups: [],
+      ...fields,
+      ...image
+    };
+
+    const newProduct = new Product(productData);
+    const savedProduct = await newProduct.save();
+    await savedProduct.populate('category', CATEGORY_SUMMARY);
+    
+    console.log('✅ Product created:', savedProduct._id);
+    
+    res.status(201).json({ 
+      success: true,
+      message: 'Product uploaded successfully', 
+      product: savedProduct 
+    });
+  } catch (error) {
+    console.error('❌ Error creating product:', error);
+    
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false,
+        message: 'A product with this SKU already exists'
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Validation error',
+        details: error.message
+      });
+    }
+    
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'File too large. Maximum size is 5MB.' 
+      });
+    }
+    
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ 
+        success: false,
+        message: `File upload error: ${error.message}` 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to upload product',
+      error: error.message 
+    });
+  }
+};
+
+// Find the product an import row updates: by id, then sku, then exact name (ignoring case).
+// Returns { product, key } with product null for a new one, or { error }.
+const findImportTarget = async (data) => {
+  if (data.id !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(data.id)) return { error: 'Invalid product ID' };
+    const product = await Product.findById(data.id);
+    return product ? { product, key: `id:${product._id}` } : { error: 'Product not found' };
+  }
+
+  if (data.sku !== undefined) {
+    const sku = String(data.sku);
+    return { product: await Product.findOne({ sku }), key: `sku:${sku}` };
+  }
+
+  if (typeof data.name !== 'string') return { error: 'Product name is required' };
+  const matches = await Product.find({ name: data.name })
+    .collation({ locale: 'en', strength: 2 })
+    .limit(2);
+  if (matches.length > 1) {
+    return { error: `Several products are named "${data.name}" - add an id or sku column to tell them apart` };
+  }
+  return { product: matches[0] || null, key: `name:${data.name.toLowerCase()}` };
+};
+
+// Bulk create/update products from a CSV or JSON upload (field "file") or { products: [...] }.
+// Every row is checked like POST /api/products; ?dryRun=true reports without saving.
+const importProducts = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun || req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const { rows, error } = readImportRows(req.file, req.body);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error 
+      });
+    }
+
+    // Categories may be given by id, slug or name
+    const categoryIds = new Map();
+    (await Category.find().select('name slug')).forEach(category => {
+      [String(category._id), category.slug, category.name.toLowerCase()].forEach(key => categoryIds.set(key, String(category._id)));
+    });
+
+    const seenKeys = new Set();
+    const report = [];
+
+    for (const { row, data, error: rowError } of rows) {
+      const entry = { row, name: data.name };
+      const reject = (message) => report.push({ ...entry, status: 'rejected', error: message });
+
+      if (rowError) {
+        reject(rowError);
+        continue;
+      }
+
+      const target = await findImportTarget(data);
+      if (target.error) {
+        reject(target.error);
+        continue;
+      }
+      if (seenKeys.has(target.key)) {
+        reject('Same product as an earlier row');
+        continue;
+      }
+      seenKeys.add(target.key);
+
+      const input = { ...data };
+      if (data.category !== undefined) {
+        input.category = categoryIds.get(String(data.category).toLowerCase());
+        if (!input.category) {
+          reject(`Category not found: ${data.category}`);
+          continue;
+        }
+      }
+      if (data.imageUrl !== undefined && !/^https?:\/\//i.test(String(data.imageUrl))) {
+        reject('Image URL must start with http:// or https://');
+        continue;
+      }
+
+      // Updates only need the columns that change
+      const existing = target.product;
+      const { value: fields, errors } = checkSchema(productInput, existing
+        ? { name: existing.name, description: existing.description, price: existing.price, category: existing.category && String(existing.category), ...input }
+        : input);
+      const validationError = errors.length > 0 ? errors[0].message : await productReferencesError(fields);
+      if (validationError) {
+        reject(validationError);
+        continue;
+      }
+      // A linked image replaces any uploaded one, which is then removed
+      let replacedImage = null;
+      if (data.imageUrl !== undefined) {
+        fields.imageUrl = String(data.imageUrl);
+        fields.imageRef = null;
+        if (existing && existing.imageUrl !== fields.imageUrl) replacedImage = imageRefOf(existing);
+      }
+
+      if (!dryRun) {
+        try {
+          if (existing) {
+            existing.set(fields);
+            await existing.save();
+            await removeImage(replacedImage);
+          } else {
+            target.product = await Product.create({ optionGroups: [], imageUrl: '', ...fields });
+          }
+        } catch (saveError) {
+          reject(saveError.code === 11000 ? 'A product with this SKU already exists' : saveError.message);
+          continue;
+        }
+      }
+
+      report.push({
+        ...entry,
+        name: fields.name,
+        status: existing ? 'updated' : 'created',
+        productId: target.product ? String(target.product._id) : undefined
+      });
+    }
+
+    const count = (status) => report.filter(entry => entry.status === status).length;
+    const summary = { total: report.length, created: count('created'), updated: count('updated'), rejected: count('rejected') };
+    console.log(`📦 Product import${dryRun ? ' (dry run)' : ''}: ${JSON.stringify(summary)}`);
+
+    res.json({ 
+      success: true,
+      message: dryRun ? 'Dry run complete - nothing was saved' : 'Import complete',
+      dryRun,
+      summary,
+      rows: report 
+    });
+  } catch (error) {
+    console.error('❌ Error importing products:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to import products',
+      error: error.message 
+    });
+  }
+};
+
+// Get products - search, filter, sort and paginate
+// ?q=suya&category=<id or slug>&minPrice=&maxPrice=&available=true&sort=price_asc&page=1&limit=20
+const list = async (req, res) => {
+  try {
+    const { q, category, minPrice, maxPrice, available, page, limit } = req.query;
+    const sort = req.query.sort || (q ? 'relevance' : 'newest');
+
+    if (sort === 'relevance' && !q) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'sort=relevance needs a search term (q)' 
+      });
+    }
+
+    const filter = {};
+
+    if (q) {
+      filter.$text = { $search: String(q) };
+    }
+
+    if (category) {
+      if (mongoose.Types.ObjectId.isValid(category)) {
+        filter.category = category;
+      } else {
+        const match = await Category.findOne({ slug: slugify(category) }).select('_id');
+        if (!match) {
+          return res.json({ 
+            success: true,
+            products: [],
+            pagination: { page, limit, total: 0, pages: 0, hasNextPage: false }
+          });
+        }
+        filter.category = match._id;
+      }
+    }
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      filter.price = {};
+      if (minPrice !== undefined) filter.price.$gte = minPrice;
+      if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+    }
+
+    // Sold-out toggle and stock only; serving windows are reported per product as availableNow
+    if (available === true) {
+      filter.available = { $ne: false };
+      filter.$or = [{ stock: null }, { stock: { $gt: 0 } }];
+    } else if (available === false) {
+      filter.$or = [{ available: false }, { stock: { $lte: 0 } }];
+    }
+
+    const projection = sort === 'relevance' ? { score: { $meta: 'textScore' } } : {};
+
+    const [products, total] = await Promise.all([
+      Product.find(filter, projection)
+        .sort(PRODUCT_SORTS[sort])
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('category', CATEGORY_SUMMARY),
+      Product.countDocuments(filter)
+    ]);
+
+    const pages = Math.ceil(total / limit);
+
+    res.json({ 
+      success: true,
+      products,
+      pagination: { page, limit, total, pages, hasNextPage: page < pages }
+    });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({ message: 'Failed to fetch products' });
+  }
+};
+
+// Update product route - NEW ADDITION
+const update = async (req, res) => {
+  try {
+    console.log('🔵 PUT /api/products/:id called');
+    console.log('🔵 Product ID:', req.params.id);
+    console.log('🔵 Request body:', req.body);
+    
+    const { id } = req.params;
+
+    // Option groups are only replaced when sent
+    const updates = req.body;
+    const referencesError = await productReferencesError(updates);
+    if (referencesError) {
+      return res.status(400).json({ 
+        success: false,
+        message: referencesError
+      });
+    }
+
+    // A new image replaces the old one, which is removed once the update is saved
+    const previous = req.file ? await Product.findById(id).select('imageUrl imageRef') : null;
+    if (req.file) Object.assign(updates, imageFields(req.file));
+
+    // Find and update the product
+    const updatedProduct = await Product.findByIdAndUpdate(
+      id,
+      updates,
+      { new: true, runValidators: true }
+    ).populate('category', CATEGORY_SUMMARY);
+
+    if (!updatedProduct) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Product not found' 
+      });
+    }
+    
+    if (previous) await removeImage(imageRefOf(previous));
+
+    console.log('✅ Product updated successfully:', updatedProduct._id);
+    
+    res.json({ 
+      success: true,
+      message: 'Product updated successfully',
+      product: updatedProduct 
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false,
+        message: 'A product with this SKU already exists'
+      });
+    }
+    console.error('❌ Error updating product:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to update product',
+      error: error.message 
+    });
+  }
+};
+
+// Kitchen sold-out toggle, stock count and serving windows
+const updateAvailability = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Send at least one of available, stock or availabilityWindows'
+      });
+    }
+
+    const updatedProduct = await Product.findByIdAndUpdate(id, updates, { new: true, runValidators: true });
+
+    if (!updatedProduct) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Product not found' 
+      });
+    }
+
+    res.json({ 
+      success: true,
+      message: 'Availability updated',
+      product: updatedProduct 
+    });
+  } catch (error) {
+    console.error('❌ Error updating availability:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to update availability',
+      error: error.message 
+    });
+  }
+};
+
+// Delete product
+const remove = async (req, res) => {
+  try {
+    const deleted = await Product.findByIdAndDelete(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    await removeImage(imageRefOf(deleted));
+    
+    res.json({ message: 'Product deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting product:', error);
+    res.status(500).json({ message: 'Failed to delete product' });
+  }
+};
+
+module.exports = {
+  create,
+  importProducts,
+  list,
+  update,
+  updateAvailability,
+  remove,
+};
@@ -0,0 +1,76 @@
+const reports = require('../services/reports');
+const { Order } = require('../models');
+
+// Run one aggregation report over orders matching the request's filters
+const sendReport = async (req, res, buildPipeline, shape = rows => rows) => {
+  try {
+    const { match, error } = reports.reportMatch(req.query);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error 
+      });
+    }
+
+    const rows = await Order.aggregate(buildPipeline(match));
+
+    res.json({ 
+      success: true,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      ...shape(rows)
+    });
+  } catch (error) {
+    console.error('❌ Error running report:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to run report',
+      error: error.message 
+    });
+  }
+};
+
+// Order count, revenue, discounts and average order value
+const summary = (req, res) => {
+  sendReport(req, res, reports.summaryPipeline, rows => ({
+    summary: rows[0] || { orders: 0, revenue: 0, discounts: 0, deliveryFees: 0, averageOrderValue: 0 }
+  }));
+};
+
+// Revenue and order count per period - ?interval=day|week|month
+const sales = (req, res) => {
+  const { interval } = req.query;
+  sendReport(req, res, match => reports.salesByPeriodPipeline(match, interval), rows => ({ interval, sales: rows }));
+};
+
+// Best sellers - ?sortBy=quantity|revenue&limit=10
+const topProducts = (req, res) => {
+  const { sortBy, limit } = req.query;
+  sendReport(req, res, match => reports.topProductsPipeline(match, sortBy, limit), rows => ({ sortBy, products: rows }));
+};
+
+// Sales per delivery zone (pickup orders grouped as "pickup")
+const deliveryZones = (req, res) => {
+  sendReport(req, res, reports.salesByZonePipeline, rows => ({ zones: rows }));
+};
+
+// Sales per payment method
+const paymentMethods = (req, res) => {
+  sendReport(req, res, reports.salesByPaymentMethodPipeline, rows => ({ paymentMethods: rows }));
+};
+
+// Repeat-customer rate
+const customers = (req, res) => {
+  sendReport(req, res, reports.repeatCustomersPipeline, rows => ({
+    customers: rows[0] || { customers: 0, repeatCustomers: 0, repeatRate: 0, ordersPerCustomer: 0 }
+  }));
+};
+
+module.exports = {
+  summary,
+  sales,
+  topProducts,
+  deliveryZones,
+  paymentMethods,
+  customers,
+};
@@ -0,0 +1,28 @@
+const config = require('../config');
+const { listSlots } = require('../services/slots');
+
+// Times a pre-order can be booked for (POST /api/orders with requestedAt), optionally for one day
+const list = async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    const slots = await listSlots({ day: date ? date.replace(/-/g, '') : undefined });
+
+    res.json({ 
+      success: true,
+      slotMinutes: config.scheduling.slotMinutes,
+      leadMinutes: config.scheduling.leadMinutes,
+      slots 
+    });
+  } catch (error) {
+    console.error('❌ Error listing slots:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to fetch available times' 
+    });
+  }
+};
+
+module.exports = {
+  list,
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { isConfigured } = require('../config/cloudinary');
+
+// Every public route, listed on / and in 404 responses
+const ENDPOINTS = [
+  'GET /api/test',
+  'GET /api/health',
+  'POST /api/admin/login',
+  'GET /api/admin/me',
+  'GET /api/admin/staff',
+  'POST /api/admin/staff',
+  'PATCH /api/admin/staff/:id',
+  'POST /api/auth/otp/request',
+  'POST /api/auth/otp/verify',
+  'GET /api/me',
+  'PATCH /api/me',
+  'GET /api/me/orders',
+  'GET /api/me/addresses',
+  'POST /api/me/addresses',
+  'PATCH /api/me/addresses/:addressId',
+  'DELETE /api/me/addresses/:addressId',
+  'POST /api/users/create-basic',
+  'GET /api/users/:email',
+  'PATCH /api/users/:email',
+  'POST /api/users/register',
+  'GET /api/users',
+  'GET /api/debug/users',
+  'GET /api/delivery-zones',
+  'POST /api/delivery-zones',
+  'PUT /api/delivery-zones/:id',
+  'DELETE /api/delivery-zones/:id',
+  'POST /api/coupons/validate',
+  'GET /api/coupons',
+  'POST /api/coupons',
+  'PUT /api/coupons/:id',
+  'DELETE /api/coupons/:id',
+  'GET /api/categories',
+  'POST /api/categories',
+  'PUT /api/categories/:id',
+  'DELETE /api/categories/:id',
+  'POST /api/products',
+  'POST /api/products/import',
+  'GET /api/products',
+  'PUT /api/products/:id',
+  'PATCH /api/products/:id/availability',
+  'DELETE /api/products/:id',
+  'POST /api/orders',
+  'GET /api/orders',
+  'GET /api/orders/track/:orderNumber',
+  'GET /api/orders/events',
+  'GET /api/orders/:id/events',
+  'GET /api/orders/:id/notifications',
+  'POST /api/orders/:id/cancel',
+  'POST /api/orders/:id/refunds',
+  'GET /api/orders/:id/refunds',
+  'POST /api/orders/:id/refunds/:refundId/check',
+  'PATCH /api/orders/:id',
+  'GET /api/slots',
+  'GET /api/reports/summary',
+  'GET /api/reports/sales',
+  'GET /api/reports/top-products',
+  'GET /api/reports/delivery-zones',
+  'GET /api/reports/payment-methods',
+  'GET /api/reports/customers',
+  'GET /api/exports/:dataset',
+  'POST /api/payments/verify',
+  'POST /api/payments/webhook/:provider'
+];
+
+const databaseStatus = () => (mongoose.connection.readyState === 1 ? 'connected' : 'disconnected');
+const cloudinaryStatus = () => (isConfigured() ? 'configured' : 'not configured');
+
+const root = (req, res) => {
+  res.json({ 
+    message: 'OBIGGRILLS API Server',
+    status: 'running',
+    version: '1.0.0',
+    database: databaseStatus(),
+    cloudinary: cloudinaryStatus(),
+    imageStorage: config.imageStorage.driver,
+    endpoints: ENDPOINTS
+  });
+};
+
+const test = (req, res) => {
+  res.json({ 
+    success: true, 
+    message: 'OBIGGRILLS API working perfectly!',
+    timestamp: new Date().toISOString(),
+    environment: config.env,
+    database: databaseStatus(),
+    cloudinary: cloudinaryStatus()
+  });
+};
+
+const health = (req, res) => {
+  res.json({ 
+    status: 'healthy',
+    database: databaseStatus(),
+    cloudinary: cloudinaryStatus(),
+    imageStorage: config.imageStorage.driver,
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// 404 handler
+const notFound = (req, res) => {
+  res.status(404).json({
+    success: false,
+    message: `Route not found: ${req.method} ${req.path}`,
+    availableRoutes: ['GET /', ...ENDPOINTS]
+  });
+};
+
+module.exports = {
+  root,
+  test,
+  health,
+  notFound,
+};
@@ -0,0 +1,185 @@
+const config = require('../config');
+const { User } = require('../models');
+const { profileUpdates } = require('../validators/accounts');
+
+// What the public (unauthenticated) user routes may reveal
+const publicUser = (user) => ({
+  _id: user._id,
+  email: user.email,
+  name: user.name,
+  nickname: user.nickname,
+});
+
+// Answer to a signup for an email that already has an account
+const accountExists = {
+  success: false,
+  message: 'An account with this email already exists. Please sign in to use it.'
+};
+
+// Create user
+const createBasic = async (req, res) => {
+  try {
+    const { email, nickname } = req.body;
+
+    // An existing account is never shown or changed here - its owner signs in instead
+    if (await User.exists({ email })) {
+      return res.status(409).json(accountExists);
+    }
+
+    // Create new
+    const user = new User({
+      email,
+      nickname,
+      name: nickname
+    });
+
+    const saved = await user.save();
+    
+    res.status(201).json({ 
+      success: true,
+      message: 'User created successfully', 
+      user: publicUser(saved) 
+    });
+
+  } catch (error) {
+    console.error('❌ Create user error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get user (admin lookup - customers use /api/me)
+const getByEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.params.email });
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('❌ Get user error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Update user (admin - customers use PATCH /api/me)
+const updateByEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.params.email });
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found' 
+      });
+    }
+
+    // Only whitelisted fields reach here
+    const { addresses, ...profile } = req.body;
+    user.set(profileUpdates(profile));
+    if (addresses !== undefined) {
+      user.addresses = addresses;
+    }
+
+    const updated = await user.save();
+    
+    res.json({ 
+      success: true,
+      message: 'User updated successfully',
+      user: updated 
+    });
+  } catch (error) {
+    console.error('❌ Update user error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Register user (for checkout)
+const register = async (req, res) => {
+  try {
+    const { name, email, phone } = req.body;
+
+    // Profile changes go through PATCH /api/me once signed in, never through here
+    if (await User.exists({ email })) {
+      return res.status(409).json(accountExists);
+    }
+
+    // Create new user
+    const user = new User({
+      name,
+      nickname: name.split(' ')[0],
+      email,
+      phone
+    });
+
+    await user.save();
+    
+    res.status(201).json({ 
+      success: true,
+      message: 'User registered successfully', 
+      user: publicUser(user) 
+    });
+  } catch (error) {
+    console.error('❌ Register error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to register user',
+      error: error.message 
+    });
+  }
+};
+
+// Get all users (for admin)
+const list = async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: -1 });
+    res.json(users);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ message: 'Failed to fetch users' });
+  }
+};
+
+// Debug route - see all users (owner only, disabled in production)
+const debugList = async (req, res) => {
+  try {
+    if (config.isProduction) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Route not found: GET /api/debug/users' 
+      });
+    }
+
+    const users = await User.find().select('email nickname name createdAt');
+    res.json({
+      success: true,
+      count: users.length,
+      users: users
+    });
+  } catch (error) {
+    console.error('❌ Debug users error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createBasic,
+  getByEmail,
+  updateByEmail,
+  register,
+  list,
+  debugList,
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { verifyToken, getBearerToken } = require('../services/auth');
+
+// Higher rank includes everything a lower rank may do
+const ROLE_RANK = {
+  rider: 1,
+  kitchen: 2,
+  owner: 3,
+};
+
+const ROLES = Object.keys(ROLE_RANK);
+
+// Guard a route with the minimum staff role it requires.
+// On success the signed-in admin is available as req.admin.
+const requireAdmin = (minRole = 'rider') => async (req, res, next) => {
+  try {
+    const payload = verifyToken(getBearerToken(req));
+
+    if (!payload || payload.kind !== 'admin') {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const admin = await mongoose.model('Admin').findById(payload.sub);
+
+    if (!admin || !admin.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account not found or disabled'
+      });
+    }
+
+    if (ROLE_RANK[admin.role] < ROLE_RANK[minRole]) {
+      return res.status(403).json({
+        success: false,
+        message: `Requires ${minRole} access`
+      });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error('❌ Auth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to authenticate'
+    });
+  }
+};
+
+// Guard a route for a signed-in customer (email OTP login).
+// On success the customer's User document is available as req.user.
+const requireCustomer = async (req, res, next) => {
+  try {
+    const payload = verifyToken(getBearerToken(req));
+
+    if (!payload || payload.kind !== 'customer') {
+      return res.status(401).json({
+        success: false,
+        message: 'Please log in to continue'
+      });
+    }
+
+    const user = await mongoose.model('User').findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('❌ Auth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to authenticate'
+    });
+  }
+};
+
+// Like requireCustomer, but lets guests through with req.user left unset
+const optionalCustomer = (req, res, next) => {
+  const payload = verifyToken(getBearerToken(req));
+  if (!payload || payload.kind !== 'customer') return next();
+  return requireCustomer(req, res, next);
+};
+
+// Like requireAdmin, but lets everyone else through with req.admin left unset -
+// for routes staff and customers share (e.g. cancelling an order)
+const optionalAdmin = (minRole = 'rider') => (req, res, next) => {
+  const payload = verifyToken(getBearerToken(req));
+  if (!payload || payload.kind !== 'admin') return next();
+  return requireAdmin(minRole)(req, res, next);
+};
+
+// Guard a route only when needsAdmin(req) is true - e.g. lists that show inactive records to staff
+const requireAdminIf = (needsAdmin, minRole = 'rider') => (req, res, next) => (
+  needsAdmin(req) ? requireAdmin(minRole)(req, res, next) : next()
+);
+
+// EventSource can't send headers, so event streams may pass the token as ?token=
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string' && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  ROLE_RANK,
+  requireAdmin,
+  requireAdminIf,
+  requireCustomer,
+  optionalCustomer,
+  optionalAdmin,
+  acceptQueryToken,
+};
@@ -0,0 +1,38 @@
+const config = require('../config');
+
+// PRODUCTION CORS - Fixed for Netlify deployment
+const cors = (req, res, next) => {
+  const origin = req.headers.origin;
+
+  console.log('🌐 Request from origin:', origin);
+
+  // More permissive CORS for production
+  if (config.cors.origins.includes(origin) || !origin) {
+    res.header('Access-Control-Allow-Origin', origin || '*');
+  } else {
+    // Allow all Netlify domains as fallback
+    if (origin && origin.includes('.netlify.app')) {
+      res.header('Access-Control-Allow-Origin', origin);
+    } else {
+      res.header('Access-Control-Allow-Origin', '*');
+    }
+  }
+
+  res.header('Access-Control-Allow-Credentials', 'true');
+  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,PATCH,OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin,X-Requested-With,Content-Type,Accept,Authorization,Cache-Control,X-Forwarded-For,Idempotency-Key');
+  res.header('Access-Control-Expose-Headers', 'Retry-After,RateLimit-Limit,RateLimit-Remaining,Idempotent-Replayed');
+  res.header('Access-Control-Max-Age', '86400');
+
+  if (req.method === 'OPTIONS') {
+    console.log('🔄 OPTIONS request from:', origin);
+    return res.status(204).end();
+  }
+
+  console.log(`🌐 ${req.method} ${req.path} from ${origin || 'direct'}`);
+  next();
+};
+
+module.exports = {
+  cors,
+};
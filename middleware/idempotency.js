@@ -0,0 +1,74 @@
+const { hashRequest, claim, complete, release } = require('../services/idempotency');
+
+const MAX_KEY_LENGTH = 255;
+
+// Make a route safe to retry: requests carrying a key (from `key(req)`, e.g. the
+// Idempotency-Key header) are run once, and repeats get the first response back with
+// Idempotent-Replayed: true. Use after validate() so the cleaned body is compared.
+const idempotent = ({ scope, key }) => async (req, res, next) => {
+  const clientKey = key(req);
+  if (!clientKey) return next();
+
+  if (typeof clientKey !== 'string' || clientKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency key must be text of at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const storedKey = `${scope}:${clientKey}`;
+  let result;
+  try {
+    result = await claim(storedKey, hashRequest({ body: req.body, user: req.user ? String(req.user._id) : null }));
+  } catch (error) {
+    return next(error);
+  }
+
+  if (result.replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(result.replay.status).json(result.replay.body);
+  }
+  if (result.conflict === 'mismatch') {
+    return res.status(422).json({
+      success: false,
+      code: 'IDEMPOTENCY_KEY_REUSED',
+      message: 'This idempotency key was already used for a different request'
+    });
+  }
+  if (result.conflict === 'in_progress') {
+    res.set('Retry-After', '1');
+    return res.status(409).json({
+      success: false,
+      code: 'REQUEST_IN_PROGRESS',
+      message: 'A request with this idempotency key is still being processed'
+    });
+  }
+
+  // Store a successful response before sending it; anything else frees the key for a retry
+  let settled = false;
+  const settle = (body) => {
+    settled = true;
+    const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+    return (succeeded ? complete(storedKey, res.statusCode, JSON.parse(JSON.stringify(body))) : release(storedKey))
+      .catch(error => console.error('❌ Failed to record idempotency key:', error));
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settle(body).then(() => json(body));
+    return res;
+  };
+  res.on('finish', () => {
+    if (!settled) settle(null);
+  });
+
+  next();
+};
+
+// The Idempotency-Key header, or `field` from the body for older clients
+const headerOrBody = (field) => (req) => req.get('Idempotency-Key') || (req.body && req.body[field]);
+
+module.exports = {
+  idempotent,
+  headerOrBody,
+};
@@ -0,0 +1,81 @@
+const { hit, peek } = require('../services/rateLimit');
+
+const DEFAULT_MESSAGE = 'Too many requests. Please try again later.';
+
+// 429 with Retry-After (seconds until the window ends)
+const tooManyRequests = (res, message, resetAt) => {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    code: 'RATE_LIMITED',
+    message,
+    retryAfter
+  });
+};
+
+// Allow at most `max` requests per `windowMs` in each bucket, where `key(req)` names the
+// bucket - the caller's IP, the email in the body, ... (null/empty skips the check).
+// Over the limit answers 429 with Retry-After (seconds until the window ends).
+const rateLimit = ({ name, max, windowMs, key, message = DEFAULT_MESSAGE }) => async (req, res, next) => {
+  let result;
+  try {
+    const bucket = key(req);
+    if (!bucket) return next();
+    result = await hit(`${name}:${bucket}`, windowMs);
+  } catch (error) {
+    // A broken counter store shouldn't take the endpoint down with it
+    console.error(`❌ Rate limit check failed (${name}):`, error.message);
+    return next();
+  }
+
+  res.set('RateLimit-Limit', String(max));
+  res.set('RateLimit-Remaining', String(Math.max(0, max - result.count)));
+
+  if (result.count > max) {
+    return tooManyRequests(res, message, result.resetAt);
+  }
+
+  next();
+};
+
+// Like rateLimit, but only requests answered with an error (4xx/5xx) count - so callers
+// that get it right are never held up by the limit, only repeated failures are.
+const limitFailures = ({ name, max, windowMs, key, message = DEFAULT_MESSAGE }) => async (req, res, next) => {
+  let bucket;
+  let current;
+  try {
+    bucket = key(req);
+    if (!bucket) return next();
+    current = await peek(`${name}:${bucket}`);
+  } catch (error) {
+    console.error(`❌ Rate limit check failed (${name}):`, error.message);
+    return next();
+  }
+
+  if (current && current.count >= max) {
+    return tooManyRequests(res, message, current.resetAt);
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode < 400) return;
+    hit(`${name}:${bucket}`, windowMs).catch(error => {
+      console.error(`❌ Rate limit count failed (${name}):`, error.message);
+    });
+  });
+
+  next();
+};
+
+// Bucket keys
+const byIp = (req) => req.ip;
+const byBodyEmail = (req) => req.body && req.body.email;
+const byIpAndBodyEmail = (req) => req.body && req.body.email && `${req.ip}:${req.body.email}`;
+
+module.exports = {
+  rateLimit,
+  limitFailures,
+  byIp,
+  byBodyEmail,
+  byIpAndBodyEmail,
+};
@@ -0,0 +1,69 @@
+const multer = require('multer');
+const { isAllowedImage, imageEngine, imageFields, removeImage } = require('../services/imageStorage');
+
+// Images go to the configured storage (Cloudinary or local disk)
+const upload = multer({
+  storage: imageEngine(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (isAllowedImage(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPG, PNG or WebP images are allowed'), false);
+    }
+  }
+});
+
+// Run a multer middleware, answering 400 with the reason when the upload itself is
+// rejected (wrong file type, too large, ...) instead of leaving it to the 500 handler
+const rejectBadUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) return next();
+    const message = error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE'
+      ? 'File is too large'
+      : error.message;
+    res.status(400).json({
+      success: false,
+      message
+    });
+  });
+};
+
+// Single image upload (field name `field`) that's removed again if the request then
+// fails - bad input, a missing record - so rejected uploads don't pile up in storage
+const imageUpload = (field) => [
+  rejectBadUpload(upload.single(field)),
+  (req, res, next) => {
+    if (req.file) {
+      res.on('finish', () => {
+        if (res.statusCode >= 400) removeImage(imageFields(req.file).imageRef);
+      });
+    }
+    next();
+  }
+];
+
+// Product import files are read in memory, never stored
+const importFiles = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv or .json files can be imported'), false);
+    }
+  }
+});
+
+// Single import file upload (field name `field`)
+const importUpload = (field) => rejectBadUpload(importFiles.single(field));
+
+module.exports = {
+  imageUpload,
+  importUpload,
+};
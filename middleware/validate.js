@@ -0,0 +1,34 @@
+const { checkSchema } = require('../services/validation');
+
+// Check req.params, req.query and/or req.body against schemas from services/validation.
+// Valid requests continue with those parts replaced by the cleaned values, so handlers
+// only ever see whitelisted fields. Otherwise answers 400 with every field error:
+//   { success: false, message: <first error>, errors: [{ field, message }] }
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  const checked = {};
+
+  ['params', 'query', 'body'].forEach(part => {
+    if (!schemas[part]) return;
+    const result = checkSchema(schemas[part], req[part]);
+    errors.push(...result.errors.map(error => ({ ...error, in: part })));
+    checked[part] = result.value;
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: errors[0].message,
+      errors
+    });
+  }
+
+  if (checked.params) req.params = { ...req.params, ...checked.params };
+  if (checked.query) req.query = checked.query;
+  if (checked.body) req.body = checked.body;
+  next();
+};
+
+module.exports = {
+  validate,
+};
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../middleware/auth');
+
+// Admin Schema - staff accounts for the dashboard
+const adminSchema = new mongoose.Schema({
+  name: { type: String, default: '' },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: 'kitchen' },
+  active: { type: Boolean, default: true },
+  lastLoginAt: { type: Date },
+}, { timestamps: true });
+
+// Never leak password hashes in responses
+adminSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Admin', adminSchema);
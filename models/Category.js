@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const slugify = require('../services/slugify');
+const imageRefSchema = require('./imageRef');
+
+// Category Schema - menu sections, shown in displayOrder
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true },
+  displayOrder: { type: Number, default: 0 },
+  imageUrl: { type: String, default: '' },
+  imageRef: { type: imageRefSchema, default: null }, // where an uploaded image is stored, so it can be removed
+  active: { type: Boolean, default: true },
+}, { timestamps: true });
+
+categorySchema.pre('validate', function (next) {
+  if (this.isModified('name')) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Category', categorySchema);
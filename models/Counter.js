@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Counter Schema - named sequences bumped atomically with $inc (e.g. "order:20261018")
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 },
+}, { versionKey: false });
+
+module.exports = mongoose.model('Counter', counterSchema);
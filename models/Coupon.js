@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { COUPON_TYPES } = require('../services/coupons');
+
+// Coupon Schema - promo codes, checked and applied at checkout
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, default: '' },
+  type: { type: String, enum: COUPON_TYPES, required: true },
+  value: { type: Number, required: true, min: 0 }, // percent off, or naira off for fixed
+  maxDiscount: { type: Number, default: null, min: 0 }, // cap for percentage coupons
+  minSubtotal: { type: Number, default: 0, min: 0 },
+  startsAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  usageLimit: { type: Number, default: null, min: 0 }, // total redemptions; null = unlimited
+  usageCount: { type: Number, default: 0, min: 0 },
+  perCustomerLimit: { type: Number, default: null, min: 0 }, // redemptions per customer email
+  firstOrderOnly: { type: Boolean, default: false },
+  // Restrictions - empty means the whole menu qualifies
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  active: { type: Boolean, default: true },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Coupon', couponSchema);
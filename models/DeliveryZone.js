@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const slugify = require('../services/slugify');
+
+// Delivery Zone Schema - fees and rules are decided here, never by the client
+const deliveryZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true },
+  description: { type: String, default: '' },
+  fee: { type: Number, required: true, min: 0 },
+  freeDeliveryThreshold: { type: Number, default: null, min: 0 }, // subtotal at which delivery is free
+  minimumOrder: { type: Number, default: 0, min: 0 }, // smallest subtotal accepted for this zone
+  displayOrder: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+}, { timestamps: true });
+
+deliveryZoneSchema.pre('validate', function (next) {
+  if (this.isModified('name')) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const KEY_TTL_SECONDS = 24 * 60 * 60; // retries are recognised for a day
+
+// IdempotencyKey Schema - keys sent with retryable requests (e.g. POST /api/orders) and the
+// response first given for each, so a retry gets that response instead of repeating the work
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // "<scope>:<client key>"
+  requestHash: { type: String, required: true }, // what was asked, to catch a key reused for something else
+  state: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  response: {
+    status: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  createdAt: { type: Date, default: Date.now, expires: KEY_TTL_SECONDS },
+});
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
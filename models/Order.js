@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { STATUSES } = require('../services/orderStatus');
+
+// Order Schema
+const orderSchema = new mongoose.Schema({
+  orderNumber: { type: String }, // OBG-20261018-0042 - see services/orderNumbers
+  customer: {
+    name: { type: String, required: true },
+    address: { type: String, required: true },
+    phone: { type: String, required: true },
+    email: { type: String, required: true },
+  },
+  items: [{
+    id: String,
+    name: String,
+    category: String, // category id at purchase time
+    basePrice: Number, // product price before options
+    price: Number, // unit price snapshot at purchase time, options included
+    quantity: Number,
+    options: [{
+      _id: false,
+      groupId: String,
+      group: String,
+      optionId: String,
+      name: String,
+      priceDelta: Number
+    }],
+    lineTotal: Number,
+  }],
+  // Stock taken from tracked products, given back if the order is cancelled
+  stockReservations: [{
+    _id: false,
+    productId: String,
+    quantity: Number
+  }],
+  subtotal: { type: Number },
+  discount: { type: Number, default: 0 },
+  coupon: {
+    id: String,
+    code: String,
+    type: { type: String },
+    value: Number,
+    redeemed: Boolean // counted against the coupon's usage; cleared when the order is cancelled
+  },
+  deliveryFee: { type: Number, default: 0 },
+  deliveryLocation: {
+    id: String,
+    name: String,
+    fee: Number
+  },
+  total: { type: Number, required: true },
+  paymentMethod: { type: String, required: true },
+  paymentReference: { type: String },
+  paymentStatus: { type: String, default: 'pending' }, // pending, paid, failed or amount_mismatch - set only by verification
+  payment: {
+    provider: { type: String },
+    transactionId: { type: String },
+    amountPaid: { type: Number },
+    currency: { type: String },
+    verifiedAt: { type: Date },
+    processedEvents: { type: [String], default: [] } // webhook event ids already applied
+  },
+  refundStatus: { type: String, enum: ['none', 'pending', 'partial', 'refunded', 'failed'], default: 'none' }, // see services/refunds
+  refundedAmount: { type: Number, default: 0 },
+  requestedAt: { type: Date }, // pre-orders: when the customer wants it delivered or picked up
+  releaseAt: { type: Date }, // ...and when it goes to the kitchen queue
+  orderReference: { type: String },
+  fingerprint: { type: String, select: false }, // customer + items hash for the duplicate-order guard
+  status: { type: String, enum: STATUSES, default: 'received', index: true },
+  statusHistory: [{
+    _id: false,
+    status: { type: String, enum: STATUSES },
+    at: { type: Date, default: Date.now },
+    by: {
+      kind: { type: String }, // admin, customer, guest or system
+      id: { type: String },
+      name: { type: String },
+      role: { type: String }
+    },
+    note: { type: String }
+  }],
+  // Delivery log of customer/owner notifications - staff only
+  notifications: {
+    type: [{
+      _id: false,
+      event: String,
+      audience: String, // customer or owner
+      channel: String, // email, sms or whatsapp
+      to: String,
+      status: String, // sent or failed
+      attempts: Number,
+      providerId: String,
+      error: String,
+      at: Date
+    }],
+    select: false
+  },
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+// Date-range reports and the staff order list
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ fingerprint: 1, createdAt: -1 });
+orderSchema.index({ status: 1, releaseAt: 1 });
+orderSchema.index({ orderNumber: 1 }, { unique: true, partialFilterExpression: { orderNumber: { $type: 'string' } } });
+// Verification and webhooks find the order by payment reference, so each one belongs to one order
+orderSchema.index({ paymentReference: 1 }, { unique: true, partialFilterExpression: { paymentReference: { $type: 'string' } } });
+
+// Kept for clients that still read the old flag
+orderSchema.virtual('fulfilled').get(function () {
+  return this.status === 'delivered';
+});
+
+module.exports = mongoose.model('Order', orderSchema);
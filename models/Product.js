@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { isAvailableAt } = require('../services/availability');
+const imageRefSchema = require('./imageRef');
+
+// Product option groups - variants (pick exactly one, e.g. size) and modifiers (add-ons)
+const productOptionGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  kind: { type: String, enum: ['variant', 'modifier'], default: 'modifier' },
+  required: { type: Boolean, default: false },
+  minSelections: { type: Number, default: 0, min: 0 },
+  maxSelections: { type: Number, default: 1, min: 1 },
+  options: [{
+    name: { type: String, required: true, trim: true },
+    priceDelta: { type: Number, default: 0 },
+    available: { type: Boolean, default: true }
+  }]
+});
+
+// Product Schema
+const productSchema = new mongoose.Schema({
+  name: String,
+  description: String,
+  sku: { type: String, trim: true }, // optional stable key for bulk imports
+  price: Number, // base price; option price deltas are added on top
+  category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+  imageUrl: String,
+  imageRef: { type: imageRefSchema, default: null }, // where an uploaded image is stored, so it can be removed
+  optionGroups: { type: [productOptionGroupSchema], default: [] },
+  available: { type: Boolean, default: true }, // false = sold out
+  stock: { type: Number, default: null, min: 0 }, // null = not tracked
+  availabilityWindows: [{
+    _id: false,
+    days: { type: [Number], default: [] }, // 0 = Sunday; empty = every day
+    start: { type: String }, // HH:MM in store time
+    end: { type: String }
+  }],
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+// Catalog search and filters
+productSchema.index({ name: 'text', description: 'text' }, { weights: { name: 5, description: 1 }, name: 'product_text_search' });
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ price: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ available: 1, stock: 1 });
+productSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+
+productSchema.virtual('availableNow').get(function () {
+  return isAvailableAt(this).available;
+});
+
+module.exports = mongoose.model('Product', productSchema);
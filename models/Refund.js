@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Refund Schema - money sent back through the payment provider for an order,
+// linked to the payment reference it reverses
+const refundSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  orderNumber: { type: String },
+  paymentReference: { type: String, index: true },
+  provider: { type: String, required: true },
+  transactionId: { type: String }, // the provider's id for the original charge
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'NGN' },
+  status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+  providerRefundId: { type: String, index: true }, // matches the provider's refund webhooks
+  reason: { type: String },
+  error: { type: String }, // why the provider turned it down
+  requestedBy: {
+    kind: { type: String }, // admin, customer, guest or system
+    id: { type: String },
+    name: { type: String },
+    role: { type: String }
+  },
+}, { timestamps: true });
+
+// One refund in flight per order at a time
+refundSchema.index({ order: 1, status: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// User Schema
+const userSchema = new mongoose.Schema({
+  name: { type: String, default: '' },
+  nickname: { type: String, default: '' },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  phone: { type: String, default: '' },
+  addresses: [{
+    name: { type: String, default: '' },
+    address: { type: String, default: '' },
+    isDefault: { type: Boolean, default: false }
+  }],
+  preferences: {
+    favoriteItems: { type: [String], default: [] },
+    deliveryInstructions: { type: String, default: '' }
+  },
+  // Passwordless login - only loaded when explicitly selected
+  otpHash: { type: String, select: false },
+  otpExpiresAt: { type: Date, select: false },
+  otpAttempts: { type: Number, default: 0, select: false },
+  otpRequestedAt: { type: Date, select: false },
+  lastLoginAt: { type: Date },
+}, { timestamps: true });
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.otpHash;
+    delete ret.otpExpiresAt;
+    delete ret.otpAttempts;
+    delete ret.otpRequestedAt;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Storage ({ storage, key }) of an uploaded image - see services/imageStorage
+const imageRefSchema = new mongoose.Schema({
+  storage: String,
+  key: String
+}, { _id: false });
+
+module.exports = imageRefSchema;
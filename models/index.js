@@ -0,0 +1,13 @@
+// Every Mongoose model the API uses - require models from here, not mongoose.model()
+module.exports = {
+  User: require('./User'),
+  Admin: require('./Admin'),
+  Category: require('./Category'),
+  DeliveryZone: require('./DeliveryZone'),
+  Coupon: require('./Coupon'),
+  Product: require('./Product'),
+  Order: require('./Order'),
+  IdempotencyKey: require('./IdempotencyKey'),
+  Counter: require('./Counter'),
+  Refund: require('./Refund'),
+};
@@ -0,0 +1,37 @@
+const express = require('express');
+const { rateLimits } = require('../config');
+const { requireAdmin } = require('../middleware/auth');
+const { rateLimit, limitFailures, byIp, byIpAndBodyEmail } = require('../middleware/rateLimit');
+const { rules, partial } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const { staffInput } = require('../validators/accounts');
+const { idParams } = require('../validators/common');
+const controller = require('../controllers/admin');
+
+const router = express.Router();
+
+// Password guessing is limited per caller IP, and failed attempts per IP and account email -
+// a stranger guessing at an account can't lock its owner out from their own connection
+const loginPerIp = rateLimit({ name: 'staff-login:ip', ...rateLimits.staffLogin.perIp, key: byIp });
+const failedLoginsPerEmail = limitFailures({
+  name: 'staff-login:failed',
+  ...rateLimits.staffLogin.failedPerEmail,
+  key: byIpAndBodyEmail,
+  message: 'Too many failed login attempts for this account. Please try again later.'
+});
+
+router.post('/login', loginPerIp, validate({
+  body: {
+    email: rules.string({ required: true, lowercase: true, message: 'Email and password required' }),
+    password: rules.string({ required: true, trim: false, message: 'Email and password required' })
+  }
+}), failedLoginsPerEmail, controller.login);
+router.get('/me', requireAdmin('rider'), controller.me);
+router.get('/staff', requireAdmin('owner'), controller.listStaff);
+router.post('/staff', requireAdmin('owner'), validate({ body: staffInput }), controller.createStaff);
+router.patch('/staff/:id', requireAdmin('owner'), validate({
+  params: idParams('staff'),
+  body: partial({ name: staffInput.name, role: staffInput.role, active: staffInput.active, password: staffInput.password })
+}), controller.updateStaff);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const { rateLimits } = require('../config');
+const { rules } = require('../services/validation');
+const { rateLimit, byIp } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { emailRule } = require('../validators/common');
+const controller = require('../controllers/auth');
+
+const router = express.Router();
+
+// Codes are also limited per email by the controller
+const loginPerIp = rateLimit({ name: 'login:ip', ...rateLimits.login.perIp, key: byIp });
+
+router.post('/otp/request', loginPerIp, validate({
+  body: { email: emailRule({ required: true, message: 'A valid email is required' }) }
+}), controller.requestOtp);
+router.post('/otp/verify', loginPerIp, validate({
+  body: {
+    email: rules.string({ required: true, lowercase: true, message: 'Email and code required' }),
+    code: rules.string({ required: true, max: 10, message: 'Email and code required' })
+  }
+}), controller.verifyOtp);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { requireAdmin, requireAdminIf } = require('../middleware/auth');
+const { partial } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const { imageUpload } = require('../middleware/upload');
+const { idParams, listQuery } = require('../validators/common');
+const { categoryInput } = require('../validators/catalog');
+const controller = require('../controllers/categories');
+
+const router = express.Router();
+
+router.get('/', validate({ query: listQuery }), requireAdminIf(req => req.query.includeInactive, 'kitchen'), controller.list);
+router.post('/', requireAdmin('owner'), imageUpload('image'), validate({ body: categoryInput }), controller.create);
+router.put('/:id', requireAdmin('owner'), imageUpload('image'), validate({
+  params: idParams('category'),
+  body: partial(categoryInput)
+}), controller.update);
+router.delete('/:id', requireAdmin('owner'), validate({ params: idParams('category') }), controller.remove);
+
+module.exports = router;
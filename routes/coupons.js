@@ -0,0 +1,28 @@
+const express = require('express');
+const { requireAdmin, optionalCustomer } = require('../middleware/auth');
+const { rules, partial } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const { idParams, emailRule, cartInput } = require('../validators/common');
+const { couponInput } = require('../validators/catalog');
+const controller = require('../controllers/coupons');
+
+const router = express.Router();
+
+router.post('/validate', optionalCustomer, validate({
+  body: {
+    code: rules.string({ required: true, max: 40, label: 'Promo code' }),
+    email: emailRule(),
+    items: cartInput.items,
+    deliveryLocation: cartInput.deliveryLocation,
+    deliveryZoneId: cartInput.deliveryZoneId
+  }
+}), controller.check);
+router.get('/', requireAdmin('owner'), controller.list);
+router.post('/', requireAdmin('owner'), validate({ body: couponInput }), controller.create);
+router.put('/:id', requireAdmin('owner'), validate({
+  params: idParams('coupon'),
+  body: partial(couponInput)
+}), controller.update);
+router.delete('/:id', requireAdmin('owner'), validate({ params: idParams('coupon') }), controller.remove);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const { requireAdmin, requireAdminIf } = require('../middleware/auth');
+const { partial } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const { idParams, listQuery } = require('../validators/common');
+const { deliveryZoneInput } = require('../validators/catalog');
+const controller = require('../controllers/deliveryZones');
+
+const router = express.Router();
+
+router.get('/', validate({ query: listQuery }), requireAdminIf(req => req.query.includeInactive, 'kitchen'), controller.list);
+router.post('/', requireAdmin('owner'), validate({ body: deliveryZoneInput }), controller.create);
+router.put('/:id', requireAdmin('owner'), validate({
+  params: idParams('delivery zone'),
+  body: partial(deliveryZoneInput)
+}), controller.update);
+router.delete('/:id', requireAdmin('owner'), validate({ params: idParams('delivery zone') }), controller.remove);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const exportsService = require('../services/exports');
+const { requireAdmin } = require('../middleware/auth');
+const { STATUSES } = require('../services/orderStatus');
+const { rules } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const controller = require('../controllers/exports');
+
+const router = express.Router();
+
+router.get('/:dataset', requireAdmin('owner'), validate({
+  query: {
+    format: rules.oneOf(Object.keys(exportsService.FORMATS), { default: 'csv' }),
+    columns: rules.string({ max: 1000 }),
+    status: rules.array(rules.oneOf(STATUSES), { split: true }),
+    from: rules.string({ max: 40 }),
+    to: rules.string({ max: 40 })
+  }
+}), controller.download);
+
+module.exports = router;
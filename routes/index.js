@@ -0,0 +1,24 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/auth');
+const users = require('../controllers/users');
+
+// Every router, mounted under /api by the app
+const router = express.Router();
+
+router.use('/admin', require('./admin'));
+router.use('/auth', require('./auth'));
+router.use('/me', require('./me'));
+router.use('/users', require('./users'));
+router.use('/delivery-zones', require('./deliveryZones'));
+router.use('/coupons', require('./coupons'));
+router.use('/categories', require('./categories'));
+router.use('/products', require('./products'));
+router.use('/orders', require('./orders'));
+router.use('/slots', require('./slots'));
+router.use('/reports', require('./reports'));
+router.use('/exports', require('./exports'));
+router.use('/payments', require('./payments'));
+
+router.get('/debug/users', requireAdmin('owner'), users.debugList);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const { requireCustomer } = require('../middleware/auth');
+const { partial } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const { profileInput, addressInput } = require('../validators/accounts');
+const controller = require('../controllers/me');
+
+const router = express.Router();
+
+router.get('/', requireCustomer, controller.getProfile);
+router.patch('/', requireCustomer, validate({ body: profileInput }), controller.updateProfile);
+router.get('/orders', requireCustomer, controller.listOrders);
+router.get('/addresses', requireCustomer, controller.listAddresses);
+router.post('/addresses', requireCustomer, validate({ body: addressInput }), controller.addAddress);
+router.patch('/addresses/:addressId', requireCustomer, validate({ body: partial(addressInput) }), controller.updateAddress);
+router.delete('/addresses/:addressId', requireCustomer, controller.removeAddress);
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const { rateLimits } = require('../config');
+const { requireAdmin, optionalAdmin, optionalCustomer, acceptQueryToken } = require('../middleware/auth');
+const { rateLimit, byIp } = require('../middleware/rateLimit');
+const { idempotent, headerOrBody } = require('../middleware/idempotency');
+const { STATUSES } = require('../services/orderStatus');
+const { ORDER_NUMBER_PATTERN } = require('../services/orderNumbers');
+const { rules } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const { idParams, emailRule, cartInput } = require('../validators/common');
+const controller = require('../controllers/orders');
+
+const router = express.Router();
+
+// Orders are counted per caller IP and per customer email (the account's, when signed in)
+const ordersPerIp = rateLimit({ name: 'orders:ip', ...rateLimits.orders.perIp, key: byIp });
+const ordersPerEmail = rateLimit({
+  name: 'orders:email',
+  ...rateLimits.orders.perEmail,
+  key: req => (req.user ? req.user.email : req.body.customer.email)
+});
+
+// Retries with the same Idempotency-Key header (or orderReference) get the first order back
+router.post('/', ordersPerIp, optionalCustomer, validate({
+  body: {
+    customer: rules.object({
+      name: rules.string({ required: true, max: 100, label: 'Customer name' }),
+      address: rules.string({ required: true, max: 500, label: 'Customer address' }),
+      phone: rules.string({ required: true, max: 30, label: 'Customer phone' }),
+      email: emailRule({ required: true, label: 'Customer email' })
+    }, { required: true, label: 'Customer details' }),
+    ...cartInput,
+    paymentMethod: rules.string({ required: true, max: 50, label: 'Payment method' }),
+    paymentReference: rules.string({ max: 200 }),
+    orderReference: rules.string({ max: 200 }),
+    couponCode: rules.string({ max: 40 }),
+    requestedAt: rules.date({ label: 'Requested time' }), // pre-order for this time - see GET /api/slots
+    total: rules.number({ min: 0 }) // what the customer was shown; checked against the server's price
+  }
+}), idempotent({ scope: 'orders', key: headerOrBody('orderReference') }), ordersPerEmail, controller.create);
+router.get('/', requireAdmin('rider'), validate({
+  query: {
+    email: rules.string({ lowercase: true, max: 254 }),
+    status: rules.array(rules.oneOf(STATUSES), { split: true })
+  }
+}), controller.list);
+router.get('/track/:orderNumber', rateLimit({ name: 'tracking:ip', ...rateLimits.tracking.perIp, key: byIp }), validate({
+  params: { orderNumber: rules.string({ required: true, pattern: ORDER_NUMBER_PATTERN, message: 'Invalid order number' }) },
+  query: {
+    email: rules.string({ lowercase: true, max: 254 }),
+    phone: rules.string({ max: 30 })
+  }
+}), controller.track);
+router.get('/events', acceptQueryToken, requireAdmin('rider'), validate({
+  query: { lastEventId: rules.number({ integer: true, min: 0 }) }
+}), controller.streamAll);
+router.get('/:id/events', acceptQueryToken, optionalCustomer, validate({
+  params: idParams('order'),
+  query: {
+    email: rules.string({ lowercase: true, max: 254 }),
+    lastEventId: rules.number({ integer: true, min: 0 })
+  }
+}), controller.streamOne);
+router.get('/:id/notifications', requireAdmin('kitchen'), validate({ params: idParams('order') }), controller.listNotifications);
+// Staff (with a reason) or the customer who placed the order - guests prove it with the order's email or phone
+router.post('/:id/cancel', optionalAdmin('kitchen'), optionalCustomer, validate({
+  params: idParams('order'),
+  body: {
+    reason: rules.string({ max: 500 }),
+    email: rules.string({ lowercase: true, max: 254 }),
+    phone: rules.string({ max: 30 })
+  }
+}), controller.cancel);
+router.post('/:id/refunds', requireAdmin('owner'), validate({
+  params: idParams('order'),
+  body: {
+    amount: rules.number({ positive: true, label: 'Amount' }), // defaults to everything not yet refunded
+    reason: rules.string({ required: true, max: 500, label: 'Reason' })
+  }
+}), controller.refund);
+router.get('/:id/refunds', requireAdmin('kitchen'), validate({ params: idParams('order') }), controller.listRefunds);
+router.post('/:id/refunds/:refundId/check', requireAdmin('owner'), validate({
+  params: { ...idParams('order'), refundId: rules.objectId({ required: true, message: 'Invalid refund ID' }) }
+}), controller.checkRefund);
+router.patch('/:id', requireAdmin('rider'), validate({
+  params: idParams('order'),
+  body: {
+    status: rules.oneOf(STATUSES, { required: true, message: `Status must be one of: ${STATUSES.join(', ')}` }),
+    note: rules.string({ max: 500 })
+  }
+}), controller.updateStatus);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const { rateLimits } = require('../config');
+const { rateLimit, byIp } = require('../middleware/rateLimit');
+const { rules } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const controller = require('../controllers/payments');
+
+const router = express.Router();
+
+router.post('/verify', rateLimit({ name: 'payment-verify:ip', ...rateLimits.paymentVerify.perIp, key: byIp }), validate({
+  body: { reference: rules.string({ required: true, max: 200, message: 'Payment reference is required' }) }
+}), controller.verify);
+router.post('/fake/charge', controller.fakeCharge);
+router.post('/webhook/:provider', controller.webhook);
+
+module.exports = router;
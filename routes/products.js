@@ -0,0 +1,27 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/auth');
+const { rules } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const { imageUpload, importUpload } = require('../middleware/upload');
+const { idParams } = require('../validators/common');
+const { availabilityInput, productInput, productListQuery } = require('../validators/catalog');
+const controller = require('../controllers/products');
+
+const router = express.Router();
+
+router.post('/', requireAdmin('owner'), imageUpload('image'), validate({ body: productInput }), controller.create);
+router.post('/import', requireAdmin('owner'), importUpload('file'), validate({
+  query: { dryRun: rules.boolean({ default: false }) }
+}), controller.importProducts);
+router.get('/', validate({ query: productListQuery }), controller.list);
+router.put('/:id', requireAdmin('owner'), imageUpload('image'), validate({
+  params: idParams('product'),
+  body: productInput
+}), controller.update);
+router.patch('/:id/availability', requireAdmin('kitchen'), validate({
+  params: idParams('product'),
+  body: availabilityInput
+}), controller.updateAvailability);
+router.delete('/:id', requireAdmin('owner'), validate({ params: idParams('product') }), controller.remove);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const reports = require('../services/reports');
+const { requireAdmin } = require('../middleware/auth');
+const { rules } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const { reportQuery } = require('../validators/reports');
+const controller = require('../controllers/reports');
+
+const router = express.Router();
+
+router.get('/summary', requireAdmin('owner'), validate({ query: reportQuery }), controller.summary);
+router.get('/sales', requireAdmin('owner'), validate({
+  query: { ...reportQuery, interval: rules.oneOf(reports.INTERVALS, { default: 'day' }) }
+}), controller.sales);
+router.get('/top-products', requireAdmin('owner'), validate({
+  query: {
+    ...reportQuery,
+    sortBy: rules.oneOf(['quantity', 'revenue'], { default: 'quantity' }),
+    limit: rules.number({ integer: true, min: 1, max: 100, default: 10 })
+  }
+}), controller.topProducts);
+router.get('/delivery-zones', requireAdmin('owner'), validate({ query: reportQuery }), controller.deliveryZones);
+router.get('/payment-methods', requireAdmin('owner'), validate({ query: reportQuery }), controller.paymentMethods);
+router.get('/customers', requireAdmin('owner'), validate({ query: reportQuery }), controller.customers);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const { rules } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const controller = require('../controllers/slots');
+
+const router = express.Router();
+
+router.get('/', validate({
+  query: { date: rules.string({ pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'Date must be YYYY-MM-DD' }) }
+}), controller.list);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const controller = require('../controllers/system');
+
+const router = express.Router();
+
+router.get('/', controller.root);
+router.get('/api/test', controller.test);
+router.get('/api/health', controller.health);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const { rateLimits } = require('../config');
+const { requireAdmin } = require('../middleware/auth');
+const { rateLimit, byIp, byBodyEmail } = require('../middleware/rateLimit');
+const { rules, partial } = require('../services/validation');
+const { validate } = require('../middleware/validate');
+const { userUpdateInput } = require('../validators/accounts');
+const { emailRule } = require('../validators/common');
+const controller = require('../controllers/users');
+
+const router = express.Router();
+
+// Both signup routes count against the same limits
+const signupPerIp = rateLimit({ name: 'signup:ip', ...rateLimits.signup.perIp, key: byIp });
+const signupPerEmail = rateLimit({ name: 'signup:email', ...rateLimits.signup.perEmail, key: byBodyEmail });
+
+router.post('/create-basic', signupPerIp, validate({
+  body: {
+    email: emailRule({ required: true, label: 'Email' }),
+    nickname: rules.string({ required: true, max: 50, label: 'Nickname' })
+  }
+}), signupPerEmail, controller.createBasic);
+router.get('/:email', requireAdmin('owner'), validate({
+  params: { email: rules.string({ required: true, lowercase: true }) }
+}), controller.getByEmail);
+router.patch('/:email', requireAdmin('owner'), validate({
+  params: { email: rules.string({ required: true, lowercase: true }) },
+  body: partial(userUpdateInput)
+}), controller.updateByEmail);
+router.post('/register', signupPerIp, validate({
+  body: {
+    name: rules.string({ required: true, max: 100, label: 'Name' }),
+    email: emailRule({ required: true, label: 'Email' }),
+    phone: rules.string({ required: true, max: 30, label: 'Phone' })
+  }
+}), signupPerEmail, controller.register);
+router.get('/', requireAdmin('owner'), controller.list);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// One-off migration: turn the free-text `category` strings on products into Category
+// documents and point each product at its category by id. Case and spacing variants
+// ("Grills", "grills ") collapse into one category. Safe to re-run.
+// Usage: MONGODB_URI=... node scripts/migrate-categories.js
+const mongoose = require('mongoose');
+const slugify = require('../services/slugify');
+
+const { mongoUri } = require('../config');
+
+async function migrate() {
+  await mongoose.connect(mongoUri);
+  const products = mongoose.connection.collection('products');
+  const categories = mongoose.connection.collection('categories');
+
+  const names = await products.distinct('category', { category: { $type: 'string' } });
+  const slugs = new Map();
+  names
+    .map(name => name.trim())
+    .filter(Boolean)
+    .sort((a, b) => a.localeCompare(b))
+    .forEach(name => {
+      const slug = slugify(name);
+      if (slug && !slugs.has(slug)) slugs.set(slug, name);
+    });
+
+  let displayOrder = await categories.countDocuments();
+  const idsBySlug = new Map();
+  for (const [slug, name] of slugs) {
+    const now = new Date();
+    await categories.updateOne(
+      { slug },
+      {
+        $setOnInsert: {
+          name,
+          slug,
+          displayOrder: displayOrder++,
+          imageUrl: '',
+          active: true,
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true }
+    );
+    const category = await categories.findOne({ slug });
+    idsBySlug.set(slug, category._id);
+  }
+
+  let updated = 0;
+  const cursor = products.find({ category: { $type: 'string' } });
+  for await (const product of cursor) {
+    const categoryId = idsBySlug.get(slugify(product.category));
+    await products.updateOne(
+      { _id: product._id },
+      categoryId ? { $set: { category: categoryId } } : { $unset: { category: '' } }
+    );
+    updated++;
+  }
+
+  console.log(`✅ ${slugs.size} categories, ${updated} products migrated`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
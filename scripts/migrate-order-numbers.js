@@ -0,0 +1,33 @@
+// One-off migration: give orders placed before order numbers existed an OBG-YYYYMMDD-NNNN
+// number for the day they were placed, in the order they came in. Uses the same daily
+// counters as checkout, so numbers never clash with new orders. Safe to re-run.
+// Usage: MONGODB_URI=... node scripts/migrate-order-numbers.js
+const mongoose = require('mongoose');
+const { nextOrderNumber } = require('../services/orderNumbers');
+
+const { mongoUri } = require('../config');
+
+async function migrate() {
+  await mongoose.connect(mongoUri);
+  const orders = mongoose.connection.collection('orders');
+
+  let migrated = 0;
+  const cursor = orders.find({ orderNumber: { $not: { $type: 'string' } } }).sort({ createdAt: 1, _id: 1 });
+  for await (const order of cursor) {
+    const placedAt = order.createdAt || order._id.getTimestamp();
+    const result = await orders.updateOne(
+      { _id: order._id, orderNumber: { $not: { $type: 'string' } } },
+      { $set: { orderNumber: await nextOrderNumber(placedAt) } }
+    );
+    migrated += result.modifiedCount;
+  }
+
+  console.log(`✅ Numbered ${migrated} orders`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,49 @@
+// One-off migration: replace the legacy `fulfilled` boolean on orders with `status`.
+// Usage: MONGODB_URI=... node scripts/migrate-order-status.js
+const mongoose = require('mongoose');
+const { statusFromFulfilled } = require('../services/orderStatus');
+
+const { mongoUri } = require('../config');
+
+async function migrate() {
+  await mongoose.connect(mongoUri);
+  const orders = mongoose.connection.collection('orders');
+
+  let migrated = 0;
+  for (const fulfilled of [true, false]) {
+    const status = statusFromFulfilled(fulfilled);
+    const cursor = orders.find({ status: { $exists: false }, fulfilled: fulfilled === true ? true : { $ne: true } });
+
+    for await (const order of cursor) {
+      const at = order.updatedAt || order.createdAt || new Date();
+      await orders.updateOne(
+        { _id: order._id, status: { $exists: false } },
+        {
+          $set: {
+            status,
+            statusHistory: [{
+              status,
+              at,
+              by: { kind: 'system', name: 'migration' },
+              note: `Migrated from fulfilled=${Boolean(order.fulfilled)}`
+            }]
+          },
+          $unset: { fulfilled: '' }
+        }
+      );
+      migrated++;
+    }
+  }
+
+  // Orders that already have a status may still carry the old flag
+  await orders.updateMany({ fulfilled: { $exists: true } }, { $unset: { fulfilled: '' } });
+
+  console.log(`✅ Migrated ${migrated} orders to status`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
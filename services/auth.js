@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// Signing secret for session tokens. Without AUTH_SECRET a random one is used,
+// which means every restart logs everyone out - fine locally, not in production.
+const secret = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.AUTH_SECRET) {
+  console.warn('⚠️ AUTH_SECRET not set - using a temporary signing secret');
+}
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL, 10) || 12 * 60 * 60; // 12 hours
+
+// Passwords are stored as "salt:hash" using scrypt
+const hashPassword = (password) => new Promise((resolve, reject) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(password, salt, 64, (err, derived) => {
+    if (err) return reject(err);
+    resolve(`${salt}:${derived.toString('hex')}`);
+  });
+});
+
+// Checked against when there is no account to check, so a login for an unknown email takes
+// as long as one for a real account. No password matches it.
+const DUMMY_PASSWORD_HASH = `${'0'.repeat(32)}:${'0'.repeat(128)}`;
+
+const verifyPassword = (password, stored) => new Promise((resolve, reject) => {
+  const [salt, hash] = String(stored || '').split(':');
+  if (!salt || !hash) return resolve(false);
+  crypto.scrypt(password, salt, 64, (err, derived) => {
+    if (err) return reject(err);
+    const expected = Buffer.from(hash, 'hex');
+    resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+  });
+});
+
+const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature)
+const signToken = (payload, ttlSeconds = TOKEN_TTL_SECONDS) => {
+  const body = Buffer.from(JSON.stringify({
+    ...payload,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })).toString('base64url');
+  return `${body}.${sign(body)}`;
+};
+
+// Returns the payload, or null if the token is malformed, tampered with or expired
+const verifyToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Reads "Authorization: Bearer <token>"
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  DUMMY_PASSWORD_HASH,
+  signToken,
+  verifyToken,
+  getBearerToken,
+};
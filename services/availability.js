@@ -0,0 +1,121 @@
+// Menu availability: sold-out toggle, optional stock count and time-of-day windows.
+// Windows are evaluated in the restaurant's timezone (STORE_TIMEZONE, default Africa/Lagos).
+
+const STORE_TIMEZONE = process.env.STORE_TIMEZONE || 'Africa/Lagos';
+
+const DAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+// Day of week (0 = Sunday) and minutes since midnight in the store's timezone
+const localTime = (date, timeZone = STORE_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type).value;
+  return {
+    day: DAY_INDEX[get('weekday')],
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+};
+
+// A window like { days: [5, 6], start: '18:00', end: '23:00' }. end < start runs past midnight.
+const isWithinWindow = (window, date) => {
+  const { day, minutes } = localTime(date);
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  const days = window.days && window.days.length ? window.days : [0, 1, 2, 3, 4, 5, 6];
+
+  if (start <= end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+  // Overnight: the part after midnight belongs to the previous day's window
+  const previousDay = (day + 6) % 7;
+  return (days.includes(day) && minutes >= start) || (days.includes(previousDay) && minutes < end);
+};
+
+// { available, reason } for ordering `quantity` of a product at `date`
+const isAvailableAt = (product, date = new Date(), quantity = 1) => {
+  if (product.available === false) {
+    return { available: false, reason: 'sold_out' };
+  }
+  if (typeof product.stock === 'number' && product.stock < quantity) {
+    return { available: false, reason: product.stock <= 0 ? 'sold_out' : 'insufficient_stock', stock: product.stock };
+  }
+  const windows = product.availabilityWindows || [];
+  if (windows.length > 0 && !windows.some(window => isWithinWindow(window, date))) {
+    return { available: false, reason: 'not_served_now' };
+  }
+  return { available: true };
+};
+
+const parseBoolean = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+};
+
+// Pick and check availability fields from a request body (JSON or multipart strings).
+// Only keys present in the body end up in `updates`.
+const normalizeAvailability = (body) => {
+  const updates = {};
+
+  if (body.available !== undefined) {
+    const available = parseBoolean(body.available);
+    if (available === undefined) return { error: 'available must be true or false' };
+    updates.available = available;
+  }
+
+  if (body.stock !== undefined) {
+    if (body.stock === null || body.stock === '') {
+      updates.stock = null; // stop tracking stock
+    } else {
+      const stock = Number(body.stock);
+      if (!Number.isInteger(stock) || stock < 0) return { error: 'stock must be a whole number of 0 or more' };
+      updates.stock = stock;
+    }
+  }
+
+  if (body.availabilityWindows !== undefined) {
+    let windows = body.availabilityWindows;
+    if (typeof windows === 'string') {
+      try {
+        windows = windows === '' ? [] : JSON.parse(windows);
+      } catch (error) {
+        return { error: 'availabilityWindows must be valid JSON' };
+      }
+    }
+    if (!Array.isArray(windows)) return { error: 'availabilityWindows must be an array' };
+
+    updates.availabilityWindows = [];
+    for (const [index, window] of windows.entries()) {
+      if (!window || !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+        return { error: `availabilityWindows[${index}] needs start and end times as HH:MM` };
+      }
+      const days = window.days === undefined ? [] : window.days;
+      if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return { error: `availabilityWindows[${index}].days must be weekday numbers 0 (Sunday) to 6` };
+      }
+      updates.availabilityWindows.push({ days, start: window.start, end: window.end });
+    }
+  }
+
+  return { updates };
+};
+
+module.exports = {
+  STORE_TIMEZONE,
+  localTime,
+  isWithinWindow,
+  isAvailableAt,
+  normalizeAvailability,
+};
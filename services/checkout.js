@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { resolveSelections } = require('./productOptions');
+const { isAvailableAt } = require('./availability');
+const { normalizeCode, couponAvailabilityError, calculateDiscount } = require('./coupons');
+const { DeliveryZone, Coupon, Product, Order } = require('../models');
+const { httpError } = require('./httpError');
+const { roundMoney } = require('./money');
+
+// Pricing an order from the catalog and holding what it uses - stock and coupon
+// redemptions - until it is saved or cancelled. Errors are thrown as httpErrors.
+
+const PICKUP_ZONE_ID = 'pickup';
+
+// Total quantity per product id - the same product can appear on several lines with different options
+const quantitiesByProduct = (lines) => {
+  const totals = new Map();
+  lines.forEach(line => totals.set(String(line.id), (totals.get(String(line.id)) || 0) + line.quantity));
+  return totals;
+};
+
+// Atomically take stock for tracked products. Either every product is decremented or none is.
+const reserveStock = async (items) => {
+  const reservations = [];
+
+  for (const [productId, quantity] of quantitiesByProduct(items)) {
+    const result = await Product.updateOne(
+      { _id: productId, stock: { $type: 'number', $gte: quantity } },
+      { $inc: { stock: -quantity } }
+    );
+
+    if (result.modifiedCount === 1) {
+      reservations.push({ productId, quantity });
+      continue;
+    }
+
+    // Untracked products have nothing to reserve; anything else ran out since pricing
+    const product = await Product.findById(productId).select('name stock');
+    if (product && typeof product.stock !== 'number') continue;
+
+    await restoreStock(reservations);
+    throw httpError(409, 'Some items are unavailable right now', {
+      code: 'ITEM_UNAVAILABLE',
+      unavailable: [{
+        id: productId,
+        name: product ? product.name : undefined,
+        reason: product && product.stock > 0 ? 'insufficient_stock' : 'sold_out',
+        stock: product ? product.stock : undefined
+      }]
+    });
+  }
+
+  return reservations;
+};
+
+const restoreStock = async (reservations) => {
+  for (const { productId, quantity } of reservations) {
+    await Product.updateOne(
+      { _id: productId, stock: { $type: 'number' } },
+      { $inc: { stock: quantity } }
+    );
+  }
+};
+
+// Give an order's reserved stock back exactly once
+const releaseOrderStock = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, 'stockReservations.0': { $exists: true } },
+    { $set: { stockReservations: [] } }
+  );
+  if (order) {
+    await restoreStock(order.stockReservations);
+  }
+};
+
+// Check a promo code against a priced order and the customer's history.
+// Returns the discount and the new total; throws an httpError when the code can't be used.
+const quoteCoupon = async (code, email, pricing) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+
+  const unavailable = couponAvailabilityError(coupon);
+  if (unavailable) {
+    throw httpError(400, unavailable, { code: 'INVALID_COUPON' });
+  }
+
+  if (coupon.firstOrderOnly || coupon.perCustomerLimit !== null) {
+    if (!email) {
+      throw httpError(400, 'Customer email is required to use this promo code', { code: 'INVALID_COUPON' });
+    }
+    const customerEmail = String(email).toLowerCase().trim();
+
+    if (coupon.firstOrderOnly) {
+      const previousOrders = await Order.countDocuments({ 'customer.email': customerEmail, status: { $ne: 'cancelled' } });
+      if (previousOrders > 0) {
+        throw httpError(400, 'This promo code is only for your first order', { code: 'INVALID_COUPON' });
+      }
+    }
+
+    if (coupon.perCustomerLimit !== null) {
+      const uses = await Order.countDocuments({ 'customer.email': customerEmail, 'coupon.id': String(coupon._id), 'coupon.redeemed': true });
+      if (uses >= coupon.perCustomerLimit) {
+        throw httpError(400, "You've already used this promo code", { code: 'INVALID_COUPON' });
+      }
+    }
+  }
+
+  const { discount, error } = calculateDiscount(coupon, pricing.items, pricing.subtotal);
+  if (error) {
+    throw httpError(400, error, { code: 'INVALID_COUPON' });
+  }
+
+  return {
+    coupon,
+    discount,
+    total: roundMoney(pricing.subtotal - discount + pricing.deliveryFee)
+  };
+};
+
+// Count a redemption. Conditional on the usage limit so the last use can't be taken twice.
+const redeemCoupon = async (coupon) => {
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      active: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+    },
+    { $inc: { usageCount: 1 } }
+  );
+  if (result.modifiedCount !== 1) {
+    throw httpError(400, 'This promo code has been fully redeemed', { code: 'INVALID_COUPON' });
+  }
+};
+
+// Give a cancelled order's coupon use back exactly once
+const releaseOrderCoupon = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, 'coupon.redeemed': true },
+    { $set: { 'coupon.redeemed': false } }
+  );
+  if (order) {
+    await Coupon.updateOne({ _id: order.coupon.id, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+  }
+};
+
+// Price an order from the catalog. Client-sent prices and totals are ignored.
+// Items are checked against the menu at order.requestedAt for pre-orders, else now.
+const priceOrder = async (order) => {
+  const lines = [];
+
+  for (const item of order.items) {
+    if (!item || !item.id || !mongoose.Types.ObjectId.isValid(item.id)) {
+      throw httpError(400, `Unknown product: ${item && item.id}`);
+    }
+    const quantity = parseInt(item.quantity, 10);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw httpError(400, `Invalid quantity for product ${item.id}`);
+    }
+    lines.push({ id: String(item.id), quantity, selections: item.options });
+  }
+
+  const ids = [...new Set(lines.map(line => line.id))];
+  const products = await Product.find({ _id: { $in: ids } });
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+
+  const missing = ids.filter(id => !productsById.has(id));
+  if (missing.length > 0) {
+    throw httpError(400, 'Some items are no longer available', { missing });
+  }
+
+  const at = order.requestedAt || new Date();
+  const unavailable = [];
+  for (const [id, quantity] of quantitiesByProduct(lines)) {
+    const product = productsById.get(id);
+    const check = isAvailableAt(product, at, quantity);
+    if (!check.available) {
+      unavailable.push({ id, name: product.name, reason: check.reason, stock: check.stock });
+    }
+  }
+  if (unavailable.length > 0) {
+    const when = order.requestedAt ? 'at the requested time' : 'right now';
+    throw httpError(409, `Some items are unavailable ${when}`, { code: 'ITEM_UNAVAILABLE', unavailable });
+  }
+
+  const items = lines.map(line => {
+    const product = productsById.get(line.id);
+    const { options, unitPrice, error } = resolveSelections(product, line.selections);
+    if (error) {
+      throw httpError(400, error, { productId: line.id });
+    }
+    return {
+      id: line.id,
+      name: product.name,
+      category: product.category ? String(product.category) : null,
+      basePrice: product.price,
+      price: roundMoney(unitPrice),
+      quantity: line.quantity,
+      options,
+      lineTotal: roundMoney(unitPrice * line.quantity),
+    };
+  });
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+
+  // No zone (or "pickup") means the customer collects the order
+  let deliveryLocation = null;
+  let deliveryFee = 0;
+  const zoneId = (order.deliveryLocation && order.deliveryLocation.id) || order.deliveryZoneId;
+  if (zoneId && zoneId !== PICKUP_ZONE_ID) {
+    const zone = mongoose.Types.ObjectId.isValid(zoneId)
+      ? await DeliveryZone.findOne({ _id: zoneId, active: true })
+      : null;
+    if (!zone) {
+      throw httpError(400, `Unknown delivery location: ${zoneId}`);
+    }
+    if (subtotal < zone.minimumOrder) {
+      throw httpError(400, `Minimum order for delivery to ${zone.name} is ₦${zone.minimumOrder}`, {
+        code: 'BELOW_MINIMUM_ORDER',
+        minimumOrder: zone.minimumOrder
+      });
+    }
+    const freeDelivery = zone.freeDeliveryThreshold !== null && subtotal >= zone.freeDeliveryThreshold;
+    deliveryFee = freeDelivery ? 0 : zone.fee;
+    deliveryLocation = { id: String(zone._id), name: zone.name, fee: deliveryFee };
+  }
+
+  const total = roundMoney(subtotal + deliveryFee);
+
+  return { items, subtotal, deliveryFee, deliveryLocation, total };
+};
+
+// Who ordered what, for spotting the same order sent twice: customer email, delivery zone,
+// requested time (null for ASAP) and each line's product, quantity and options. Line order
+// doesn't matter.
+const orderFingerprint = (email, pricing, requestedAt) => crypto.createHash('sha256').update(JSON.stringify({
+  email,
+  deliveryLocation: pricing.deliveryLocation ? pricing.deliveryLocation.id : null,
+  requestedAt: requestedAt ? new Date(requestedAt).toISOString() : null,
+  items: pricing.items
+    .map(item => [item.id, item.quantity, item.options.map(option => option.optionId).sort()])
+    .sort()
+})).digest('hex');
+
+// Reject an order identical to one placed within `windowMs` that hasn't been cancelled
+const rejectDuplicateOrder = async (fingerprint, windowMs) => {
+  const duplicate = await Order.exists({
+    fingerprint,
+    createdAt: { $gte: new Date(Date.now() - windowMs) },
+    status: { $ne: 'cancelled' }
+  });
+  if (duplicate) {
+    throw httpError(409, 'This order was already placed a moment ago. Check your email or order history before ordering again.', {
+      code: 'DUPLICATE_ORDER'
+    });
+  }
+};
+
+// Payment results are matched to orders by reference, so a reference can pay for one order only
+const paymentReferenceUsed = () => httpError(409, 'This payment reference is already used by another order. Please start the payment again.', {
+  code: 'PAYMENT_REFERENCE_USED'
+});
+
+const rejectUsedPaymentReference = async (reference) => {
+  if (reference && await Order.exists({ paymentReference: reference })) {
+    throw paymentReferenceUsed();
+  }
+};
+
+// The unique index catches two checkouts racing with the same reference - answer it the same way
+const isPaymentReferenceConflict = (error) => error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.paymentReference);
+
+module.exports = {
+  roundMoney,
+  reserveStock,
+  restoreStock,
+  releaseOrderStock,
+  quoteCoupon,
+  redeemCoupon,
+  releaseOrderCoupon,
+  priceOrder,
+  orderFingerprint,
+  rejectDuplicateOrder,
+  rejectUsedPaymentReference,
+  isPaymentReferenceConflict,
+  paymentReferenceUsed,
+};
@@ -0,0 +1,60 @@
+const { roundMoney } = require('./money');
+
+// Promo code rules that don't need the database. Per-customer limits and usage
+// counts are checked against orders and coupons in the route layer.
+
+const COUPON_TYPES = ['percentage', 'fixed'];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Reason a coupon can't be used at `now`, or null
+const couponAvailabilityError = (coupon, now = new Date()) => {
+  if (!coupon || !coupon.active) return 'This promo code is not valid';
+  if (coupon.startsAt && coupon.startsAt > now) return 'This promo code is not active yet';
+  if (coupon.expiresAt && coupon.expiresAt <= now) return 'This promo code has expired';
+  if (coupon.usageLimit !== null && coupon.usageLimit !== undefined && coupon.usageCount >= coupon.usageLimit) {
+    return 'This promo code has been fully redeemed';
+  }
+  return null;
+};
+
+// Does an order line count towards the coupon? No restrictions = every line does.
+const isEligibleItem = (coupon, item) => {
+  const products = (coupon.products || []).map(String);
+  const categories = (coupon.categories || []).map(String);
+  if (products.length === 0 && categories.length === 0) return true;
+  return products.includes(String(item.id)) || (item.category && categories.includes(String(item.category)));
+};
+
+// Discount for priced order lines ({ id, category, lineTotal }).
+// Returns { discount, eligibleSubtotal } or { error }.
+const calculateDiscount = (coupon, items, subtotal) => {
+  if (subtotal < (coupon.minSubtotal || 0)) {
+    return { error: `Spend at least ₦${coupon.minSubtotal} to use this promo code` };
+  }
+
+  const eligibleSubtotal = roundMoney(items
+    .filter(item => isEligibleItem(coupon, item))
+    .reduce((sum, item) => sum + item.lineTotal, 0));
+
+  if (eligibleSubtotal <= 0) {
+    return { error: "This promo code doesn't apply to the items in your cart" };
+  }
+
+  let discount = coupon.type === 'percentage'
+    ? eligibleSubtotal * coupon.value / 100
+    : coupon.value;
+
+  if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return { discount: roundMoney(Math.min(discount, eligibleSubtotal)), eligibleSubtotal };
+};
+
+module.exports = {
+  COUPON_TYPES,
+  normalizeCode,
+  couponAvailabilityError,
+  calculateDiscount,
+};
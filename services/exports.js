@@ -0,0 +1,202 @@
+const ExcelJS = require('exceljs');
+
+// Spreadsheet exports. Documents are read from a Mongo cursor and written to the
+// response as they arrive, so an export never holds the whole collection in memory.
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+const formatOptions = (item) => (item.options || []).map(option => option.name).join(' + ');
+
+const formatItem = (item) => {
+  const options = formatOptions(item);
+  return `${item.quantity}x ${item.name}${options ? ` (${options})` : ''}`;
+};
+
+const defaultAddress = (user) => {
+  const address = (user.addresses || []).find(entry => entry.isDefault) || (user.addresses || [])[0];
+  return address ? address.address : '';
+};
+
+// Columns per order. `item` is set when exporting one row per order line.
+const ORDER_COLUMNS = [
+  { key: 'orderId', header: 'Order ID', value: order => String(order._id) },
+  { key: 'orderNumber', header: 'Order Number', value: order => order.orderNumber },
+  { key: 'orderReference', header: 'Reference', value: order => order.orderReference },
+  { key: 'createdAt', header: 'Placed At', value: order => order.createdAt },
+  { key: 'requestedAt', header: 'Requested For', value: order => order.requestedAt },
+  { key: 'status', header: 'Status', value: order => order.status },
+  { key: 'customerName', header: 'Customer', value: order => order.customer && order.customer.name },
+  { key: 'customerEmail', header: 'Email', value: order => order.customer && order.customer.email },
+  { key: 'customerPhone', header: 'Phone', value: order => order.customer && order.customer.phone },
+  { key: 'customerAddress', header: 'Address', value: order => order.customer && order.customer.address },
+  { key: 'deliveryZone', header: 'Delivery Zone', value: order => (order.deliveryLocation && order.deliveryLocation.name) || 'Pickup' },
+  { key: 'items', header: 'Items', value: order => (order.items || []).map(formatItem).join('; ') },
+  { key: 'itemCount', header: 'Item Count', value: order => (order.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0) },
+  { key: 'subtotal', header: 'Subtotal', value: order => order.subtotal },
+  { key: 'discount', header: 'Discount', value: order => order.discount || 0 },
+  { key: 'couponCode', header: 'Promo Code', value: order => order.coupon && order.coupon.code },
+  { key: 'deliveryFee', header: 'Delivery Fee', value: order => order.deliveryFee || 0 },
+  { key: 'total', header: 'Total', value: order => order.total },
+  { key: 'paymentMethod', header: 'Payment Method', value: order => order.paymentMethod },
+  { key: 'paymentStatus', header: 'Payment Status', value: order => order.paymentStatus },
+  { key: 'paymentReference', header: 'Payment Reference', value: order => order.paymentReference },
+];
+
+const ORDER_ITEM_COLUMNS = [
+  { key: 'itemName', header: 'Item', value: (order, item) => item.name },
+  { key: 'itemOptions', header: 'Options', value: (order, item) => formatOptions(item) },
+  { key: 'itemQuantity', header: 'Quantity', value: (order, item) => item.quantity },
+  { key: 'itemUnitPrice', header: 'Unit Price', value: (order, item) => item.price },
+  { key: 'itemLineTotal', header: 'Line Total', value: (order, item) => item.lineTotal },
+];
+
+const DATASETS = {
+  orders: {
+    columns: ORDER_COLUMNS,
+  },
+  // One row per order line, with the order's own columns repeated
+  'order-items': {
+    columns: [...ORDER_COLUMNS, ...ORDER_ITEM_COLUMNS],
+    defaultColumns: ['orderId', 'createdAt', 'status', 'customerName', 'customerEmail', 'deliveryZone',
+      'itemName', 'itemOptions', 'itemQuantity', 'itemUnitPrice', 'itemLineTotal', 'paymentMethod', 'paymentStatus'],
+    rows: order => (order.items || []).map(item => [order, item]),
+  },
+  customers: {
+    columns: [
+      { key: 'email', header: 'Email', value: user => user.email },
+      { key: 'name', header: 'Name', value: user => user.name },
+      { key: 'nickname', header: 'Nickname', value: user => user.nickname },
+      { key: 'phone', header: 'Phone', value: user => user.phone },
+      { key: 'defaultAddress', header: 'Default Address', value: defaultAddress },
+      { key: 'addressCount', header: 'Saved Addresses', value: user => (user.addresses || []).length },
+      { key: 'createdAt', header: 'Joined', value: user => user.createdAt },
+      { key: 'lastLoginAt', header: 'Last Login', value: user => user.lastLoginAt },
+    ],
+  },
+  products: {
+    columns: [
+      { key: 'productId', header: 'Product ID', value: product => String(product._id) },
+      { key: 'name', header: 'Name', value: product => product.name },
+      { key: 'description', header: 'Description', value: product => product.description },
+      { key: 'category', header: 'Category', value: product => product.category && product.category.name },
+      { key: 'price', header: 'Price', value: product => product.price },
+      { key: 'available', header: 'Available', value: product => product.available !== false },
+      { key: 'stock', header: 'Stock', value: product => (typeof product.stock === 'number' ? product.stock : '') },
+      { key: 'imageUrl', header: 'Image URL', value: product => product.imageUrl },
+      { key: 'createdAt', header: 'Created At', value: product => product.createdAt },
+    ],
+  },
+};
+
+Object.values(DATASETS).forEach(dataset => {
+  if (!dataset.defaultColumns) dataset.defaultColumns = dataset.columns.map(column => column.key);
+  if (!dataset.rows) dataset.rows = doc => [[doc]];
+});
+
+// Columns for ?columns=a,b,c (in that order), or the dataset's defaults.
+// Returns { columns } or { error }.
+const pickColumns = (datasetName, requested) => {
+  const dataset = DATASETS[datasetName];
+  const keys = requested
+    ? String(requested).split(',').map(key => key.trim()).filter(Boolean)
+    : dataset.defaultColumns;
+
+  const unknown = keys.filter(key => !dataset.columns.some(column => column.key === key));
+  if (unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ')}. Available: ${dataset.columns.map(column => column.key).join(', ')}` };
+  }
+  if (keys.length === 0) return { error: 'Pick at least one column' };
+
+  return { columns: keys.map(key => dataset.columns.find(column => column.key === key)) };
+};
+
+const cellValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// Quote when needed, and stop spreadsheet apps treating text like "=SUM(...)" as a formula
+const csvCell = (value) => {
+  const cell = cellValue(value);
+  if (typeof cell !== 'string') return String(cell);
+  const safe = /^[=+\-@\t\r]/.test(cell) ? `'${cell}` : cell;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// Resolves once the response can take more data (or the client has gone)
+const drained = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const writeCsv = async (cursor, dataset, columns, res) => {
+  res.write('\uFEFF' + columns.map(column => csvCell(column.header)).join(',') + '\r\n'); // BOM so Excel reads UTF-8 (₦)
+
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+    for (const [record, item] of dataset.rows(doc)) {
+      const line = columns.map(column => csvCell(column.value(record, item))).join(',') + '\r\n';
+      if (!res.write(line)) await drained(res);
+    }
+  }
+  res.end();
+};
+
+const writeXlsx = async (cursor, dataset, columns, res, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({ header: column.header, key: column.key }));
+
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+    for (const [record, item] of dataset.rows(doc)) {
+      const row = {};
+      columns.forEach(column => {
+        const value = column.value(record, item);
+        row[column.key] = value === undefined || value === null ? '' : value;
+      });
+      sheet.addRow(row).commit();
+    }
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Stream `cursor` to `res` as a downloadable file named like obiggrills-orders-2026-10-18.csv
+const streamExport = async ({ cursor, datasetName, columns, format, res }) => {
+  const dataset = DATASETS[datasetName];
+  const { contentType, extension } = FORMATS[format];
+  const filename = `obiggrills-${datasetName}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  res.on('close', () => cursor.close().catch(() => {}));
+
+  if (format === 'xlsx') {
+    await writeXlsx(cursor, dataset, columns, res, datasetName);
+  } else {
+    await writeCsv(cursor, dataset, columns, res);
+  }
+};
+
+module.exports = {
+  DATASETS,
+  FORMATS,
+  pickColumns,
+  csvCell,
+  streamExport,
+};
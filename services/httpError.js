@@ -0,0 +1,11 @@
+// Error carrying an HTTP status, thrown from helpers and mapped in route handlers
+const httpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+module.exports = {
+  httpError,
+};
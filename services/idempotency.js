@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { IdempotencyKey } = require('../models');
+
+// Idempotency keys for retryable requests. The first request with a key claims it and its
+// successful response is stored; retries with the same key get that response back instead
+// of repeating the work. A failed request releases the key so it can be retried as-is.
+
+const STALE_CLAIM_MS = 60 * 1000; // a claim still processing after this was abandoned (e.g. a crash)
+
+const hashRequest = (request) => crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+
+// Claim `key` for a request. Resolves to one of:
+//   { claimed: true }              - carry on, then complete() or release() the key
+//   { replay: { status, body } }   - already done; send this response again
+//   { conflict: 'mismatch' }       - the key was used for a different request
+//   { conflict: 'in_progress' }    - the first request with this key hasn't finished
+const claim = async (key, requestHash, retried = false) => {
+  try {
+    await IdempotencyKey.create({ key, requestHash });
+    return { claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ key });
+  if (!existing) {
+    // Released or expired since the insert failed
+    if (retried) return { conflict: 'in_progress' };
+    return claim(key, requestHash, true);
+  }
+  if (existing.requestHash !== requestHash) return { conflict: 'mismatch' };
+  if (existing.state === 'completed') return { replay: existing.response };
+
+  if (Date.now() - existing.createdAt.getTime() > STALE_CLAIM_MS) {
+    const taken = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, state: 'processing', createdAt: existing.createdAt },
+      { $set: { createdAt: new Date() } }
+    );
+    if (taken) return { claimed: true };
+  }
+  return { conflict: 'in_progress' };
+};
+
+const complete = (key, status, body) => IdempotencyKey.updateOne(
+  { key, state: 'processing' },
+  { $set: { state: 'completed', response: { status, body } } }
+);
+
+const release = (key) => IdempotencyKey.deleteOne({ key, state: 'processing' });
+
+module.exports = {
+  hashRequest,
+  claim,
+  complete,
+  release,
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const config = require('../config');
+const { cloudinary } = require('../config/cloudinary');
+
+// Where uploaded images are kept, picked with IMAGE_STORAGE (see config.imageStorage).
+// Each storage has:
+//   engine()       - multer storage engine that saves an upload
+//   fromFile(file) - { url, key } for a saved upload; `key` is what remove() needs later
+//   remove(key)    - delete a stored image
+// Records keep { storage, key } as imageRef, so an image is removed from wherever it was
+// saved even if IMAGE_STORAGE has changed since.
+
+const CLOUDINARY_FOLDER = 'obiggrills-products';
+const LOCAL_URL_PATH = '/uploads';
+
+// Image types we accept, with the extension a stored file gets. Files are only accepted when the
+// claimed type and the file's own extension both match one of these (see middleware/upload).
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+
+const isAllowedImage = (file) => (
+  Object.prototype.hasOwnProperty.call(IMAGE_TYPES, file.mimetype)
+  && IMAGE_EXTENSIONS.includes(path.extname(file.originalname || '').slice(1).toLowerCase())
+);
+
+const storages = {
+  cloudinary: {
+    engine: () => new CloudinaryStorage({
+      cloudinary,
+      params: {
+        folder: CLOUDINARY_FOLDER,
+        allowed_formats: IMAGE_EXTENSIONS,
+        transformation: [
+          { width: 800, height: 600, crop: 'fill' },
+          { quality: 'auto', fetch_format: 'auto' }
+        ],
+      },
+    }),
+    // multer-storage-cloudinary reports the public_id as the filename
+    fromFile: (file) => ({ url: file.path, key: file.filename }),
+    async remove(key) {
+      await cloudinary.uploader.destroy(key);
+    }
+  },
+
+  // Files under config.imageStorage.localDir, served by the app at /uploads. Names are generated,
+  // extension included, so nothing a client sends decides how the file is served.
+  local: {
+    engine: () => multer.diskStorage({
+      destination: (req, file, cb) => {
+        const dir = config.imageStorage.localDir;
+        fs.promises.mkdir(dir, { recursive: true }).then(() => cb(null, dir), cb);
+      },
+      filename: (req, file, cb) => cb(null, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${IMAGE_TYPES[file.mimetype]}`)
+    }),
+    fromFile: (file) => ({ url: `${LOCAL_URL_PATH}/${file.filename}`, key: file.filename }),
+    async remove(key) {
+      try {
+        await fs.promises.unlink(path.join(config.imageStorage.localDir, path.basename(key)));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  },
+};
+
+const getStorage = (name) => {
+  const storage = storages[name];
+  if (!storage) {
+    throw new Error(`Unknown image storage: ${name}`);
+  }
+  return storage;
+};
+
+// Multer storage engine for the configured storage
+const imageEngine = () => getStorage(config.imageStorage.driver).engine();
+
+// Fields to save on a record for an image multer just stored
+const imageFields = (file) => {
+  const storage = config.imageStorage.driver;
+  const { url, key } = getStorage(storage).fromFile(file);
+  return { imageUrl: url, imageRef: { storage, key } };
+};
+
+// Where a record's image is stored. Records from before imageRef was kept only have a URL,
+// which is enough for our own uploads; any other URL is left alone.
+const imageRefOf = (record) => {
+  if (!record) return null;
+  if (record.imageRef && record.imageRef.key) return record.imageRef;
+
+  const url = record.imageUrl || '';
+  if (url.startsWith(`${LOCAL_URL_PATH}/`)) {
+    return { storage: 'local', key: path.basename(url) };
+  }
+  const cloudinaryMatch = url.match(new RegExp(`^https://res\\.cloudinary\\.com/.+/(${CLOUDINARY_FOLDER}/[^./]+)`));
+  if (cloudinaryMatch) {
+    return { storage: 'cloudinary', key: cloudinaryMatch[1] };
+  }
+  return null;
+};
+
+// Delete a stored image. Never throws - a leftover file shouldn't fail the request that replaced it.
+const removeImage = async (ref) => {
+  if (!ref || !ref.key) return;
+  try {
+    await getStorage(ref.storage).remove(ref.key);
+    console.log(`🗑️ Removed ${ref.storage} image: ${ref.key}`);
+  } catch (error) {
+    console.error(`❌ Failed to remove ${ref.storage} image ${ref.key}:`, error.message);
+  }
+};
+
+module.exports = {
+  LOCAL_URL_PATH,
+  isAllowedImage,
+  imageEngine,
+  imageFields,
+  imageRefOf,
+  removeImage,
+};
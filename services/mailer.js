@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+let smtpClient = null;
+
+// Pluggable email delivery. Pick a transport with MAIL_TRANSPORT (default: console, outside
+// production only), or register your own with registerTransport(name, { send(message) }).
+const transports = {
+  // Prints the message to stdout - handy for local development
+  console: {
+    async send(message) {
+      console.log('📧 Email (console transport):', JSON.stringify(message, null, 2));
+      return { id: `console-${Date.now()}` };
+    }
+  },
+
+  // Appends one JSON line per message to MAIL_OUTBOX_FILE (default: ./outbox/mail.jsonl)
+  file: {
+    async send(message) {
+      const file = process.env.MAIL_OUTBOX_FILE || path.join(process.cwd(), 'outbox', 'mail.jsonl');
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+      return { id: `file-${Date.now()}` };
+    }
+  },
+
+  // Real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+  smtp: {
+    async send(message) {
+      if (!smtpClient) {
+        if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not configured');
+        const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+        smtpClient = require('nodemailer').createTransport({
+          host: process.env.SMTP_HOST,
+          port,
+          secure: port === 465,
+          auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+      }
+      const info = await smtpClient.sendMail(message);
+      return { id: info.messageId };
+    }
+  },
+};
+
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send(message)`);
+  }
+  transports[name] = transport;
+};
+
+// These never reach an inbox - in production they'd leave login codes in the logs or on disk
+const DEV_TRANSPORTS = ['console', 'file'];
+
+// Throws unless MAIL_TRANSPORT names a transport that can deliver here. The server checks
+// this on startup, so a production deploy without real mail fails instead of logging codes.
+const assertMailConfigured = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  if (process.env.NODE_ENV === 'production' && DEV_TRANSPORTS.includes(name)) {
+    throw new Error(`Mail transport "${name}" doesn't deliver email - set MAIL_TRANSPORT (e.g. smtp) in production`);
+  }
+  if (name === 'smtp' && !process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+  return name;
+};
+
+const getTransport = () => transports[assertMailConfigured()];
+
+// message: { to, subject, text, html? }
+const sendMail = async (message) => {
+  if (!message || !message.to || !message.subject) {
+    throw new Error('Email needs a recipient and a subject');
+  }
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'OBIGGRILLS <no-reply@obiggrills.com>',
+    ...message
+  });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  assertMailConfigured,
+};
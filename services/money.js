@@ -0,0 +1,6 @@
+// Money amounts are kept to two decimals, rounded after every sum or product
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  roundMoney,
+};
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { sendMail } = require('./mailer');
+const { STORE_TIMEZONE } = require('./availability');
+
+// Order notifications: one template per order event and audience, sent over the
+// channels listed in NOTIFY_CHANNELS (default: email). Email goes through the mailer;
+// SMS and WhatsApp pick a transport with SMS_TRANSPORT / WHATSAPP_TRANSPORT (default: console).
+// Failed sends are retried in the background and every outcome is passed to `log`.
+
+const RETRY_DELAYS_MS = [5 * 1000, 30 * 1000, 2 * 60 * 1000]; // after the 1st, 2nd and 3rd failure
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+// {{placeholders}} are filled from the order context built in buildContext()
+const TEMPLATES = {
+  received: {
+    customer: {
+      subject: 'We got your order {{orderNumber}}',
+      text: 'Hi {{name}}, thanks for ordering from OBIGGRILLS! We received order {{orderNumber}} ({{items}}) - total ₦{{total}}. We\'ll let you know once the kitchen confirms it.'
+    },
+    owner: {
+      subject: 'New order {{orderNumber}} - ₦{{total}}',
+      text: 'New order {{orderNumber}} from {{name}} ({{phone}}): {{items}}. Total ₦{{total}}, {{fulfilment}}, paying by {{paymentMethod}}.'
+    }
+  },
+  scheduled: {
+    customer: {
+      subject: 'Order {{orderNumber}} booked for {{requestedTime}}',
+      text: 'Hi {{name}}, thanks for ordering from OBIGGRILLS! Order {{orderNumber}} ({{items}}) - total ₦{{total}} - is booked for {{fulfilment}} on {{requestedTime}}. We\'ll start on it in good time.'
+    },
+    owner: {
+      subject: 'Pre-order {{orderNumber}} for {{requestedTime}} - ₦{{total}}',
+      text: 'Pre-order {{orderNumber}} from {{name}} ({{phone}}) for {{requestedTime}}: {{items}}. Total ₦{{total}}, {{fulfilment}}, paying by {{paymentMethod}}.'
+    }
+  },
+  released: {
+    owner: {
+      subject: 'Pre-order {{orderNumber}} is due {{requestedTime}}',
+      text: 'Pre-order {{orderNumber}} from {{name}} ({{phone}}) is now in the kitchen queue: {{items}}, {{fulfilment}} at {{requestedTime}}.'
+    }
+  },
+  confirmed: {
+    customer: {
+      subject: 'Order {{orderNumber}} confirmed',
+      text: 'Hi {{name}}, your order {{orderNumber}} has been confirmed and will be on the grill shortly.'
+    }
+  },
+  preparing: {
+    customer: {
+      subject: 'Order {{orderNumber}} is being prepared',
+      text: 'Hi {{name}}, the kitchen has started on your order {{orderNumber}}.'
+    }
+  },
+  ready: {
+    customer: {
+      subject: 'Order {{orderNumber}} is ready',
+      text: 'Hi {{name}}, your order {{orderNumber}} is ready{{readyNote}}.'
+    }
+  },
+  out_for_delivery: {
+    customer: {
+      subject: 'Order {{orderNumber}} is on the way',
+      text: 'Hi {{name}}, your order {{orderNumber}} is on its way to {{address}}.'
+    }
+  },
+  delivered: {
+    customer: {
+      subject: 'Order {{orderNumber}} delivered',
+      text: 'Hi {{name}}, your order {{orderNumber}} has been delivered. Enjoy your meal!'
+    }
+  },
+  cancelled: {
+    customer: {
+      subject: 'Order {{orderNumber}} cancelled',
+      text: 'Hi {{name}}, your order {{orderNumber}} has been cancelled.{{noteLine}} Please contact us if you have any questions.'
+    },
+    owner: {
+      subject: 'Order {{orderNumber}} cancelled',
+      text: 'Order {{orderNumber}} from {{name}} (₦{{total}}) was cancelled.{{noteLine}}'
+    }
+  },
+  refunded: {
+    customer: {
+      subject: 'Refund for order {{orderNumber}}',
+      text: 'Hi {{name}}, your payment of ₦{{total}} for order {{orderNumber}} has been refunded.'
+    }
+  },
+};
+
+const render = (template, context) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) => (context[key] === undefined || context[key] === null ? '' : String(context[key])));
+
+const formatMoney = (amount) => Number(amount || 0).toLocaleString('en-NG', { maximumFractionDigits: 2 });
+
+// "Sat 24 Oct, 18:00" in the store's timezone
+const formatTime = (date) => new Intl.DateTimeFormat('en-GB', {
+  timeZone: STORE_TIMEZONE,
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+}).format(date);
+
+const buildContext = (order, note) => {
+  const delivery = order.deliveryLocation && order.deliveryLocation.id;
+  return {
+    name: (order.customer && order.customer.name) || 'there',
+    phone: order.customer && order.customer.phone,
+    address: order.customer && order.customer.address,
+    orderNumber: order.orderNumber || `#${String(order._id).slice(-6).toUpperCase()}`,
+    items: (order.items || []).map(item => `${item.quantity}x ${item.name}`).join(', '),
+    total: formatMoney(order.total),
+    paymentMethod: order.paymentMethod,
+    fulfilment: delivery ? `delivery to ${order.deliveryLocation.name}` : 'pickup',
+    readyNote: delivery ? ' and will be sent out soon' : ' for pickup',
+    requestedTime: order.requestedAt ? formatTime(new Date(order.requestedAt)) : 'as soon as possible',
+    noteLine: note ? ` Reason: ${note}.` : ''
+  };
+};
+
+// Local numbers (0803...) become international (234803...), which SMS and WhatsApp APIs expect
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/[^\d]/g, '');
+  if (!digits) return '';
+  const countryCode = process.env.DEFAULT_COUNTRY_CODE || '234';
+  return digits.startsWith('0') ? countryCode + digits.slice(1) : digits;
+};
+
+const outboxFile = (name) => process.env.NOTIFY_OUTBOX_DIR
+  ? path.join(process.env.NOTIFY_OUTBOX_DIR, `${name}.jsonl`)
+  : path.join(process.cwd(), 'outbox', `${name}.jsonl`);
+
+const localTransports = (channel) => ({
+  console: {
+    async send(message) {
+      console.log(`📱 ${channel} (console transport):`, JSON.stringify(message));
+      return { id: `console-${Date.now()}` };
+    }
+  },
+  file: {
+    async send(message) {
+      const file = outboxFile(channel);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+      return { id: `file-${Date.now()}` };
+    }
+  },
+});
+
+// Text message transports per channel: { send({ to, text }) -> { id } }
+const transports = {
+  sms: {
+    ...localTransports('sms'),
+
+    // Termii - TERMII_API_KEY, TERMII_SENDER_ID
+    termii: {
+      async send(message) {
+        if (!process.env.TERMII_API_KEY) throw new Error('TERMII_API_KEY is not configured');
+        const response = await fetch('https://api.ng.termii.com/api/sms/send', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            api_key: process.env.TERMII_API_KEY,
+            from: process.env.TERMII_SENDER_ID || 'OBIGGRILLS',
+            to: message.to,
+            sms: message.text,
+            type: 'plain',
+            channel: 'generic'
+          })
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(`Termii send failed: ${body.message || response.status}`);
+        return { id: body.message_id };
+      }
+    },
+  },
+
+  whatsapp: {
+    ...localTransports('whatsapp'),
+
+    // WhatsApp Cloud API - WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID.
+    // Free-form text only reaches customers who messaged the business in the last 24 hours.
+    cloud: {
+      async send(message) {
+        const { WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID } = process.env;
+        if (!WHATSAPP_TOKEN || !WHATSAPP_PHONE_NUMBER_ID) throw new Error('WhatsApp Cloud API is not configured');
+        const response = await fetch(`https://graph.facebook.com/v19.0/${WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}`, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            messaging_product: 'whatsapp',
+            to: message.to,
+            type: 'text',
+            text: { body: message.text }
+          })
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(`WhatsApp send failed: ${(body.error && body.error.message) || response.status}`);
+        return { id: body.messages && body.messages[0] && body.messages[0].id };
+      }
+    },
+  },
+};
+
+const registerTransport = (channel, name, transport) => {
+  if (!transports[channel]) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`${channel} transport "${name}" must implement send(message)`);
+  }
+  transports[channel][name] = transport;
+};
+
+const getTransport = (channel) => {
+  const name = process.env[`${channel.toUpperCase()}_TRANSPORT`] || 'console';
+  const transport = transports[channel][name];
+  if (!transport) {
+    throw new Error(`Unknown ${channel} transport: ${name}`);
+  }
+  return transport;
+};
+
+// How each channel addresses a recipient ({ email, phone }) and delivers a rendered message
+const CHANNELS = {
+  email: {
+    address: (recipient) => recipient.email,
+    send: ({ to, subject, text }) => sendMail({ to, subject, text })
+  },
+  sms: {
+    address: (recipient) => normalizePhone(recipient.phone),
+    send: ({ to, text }) => getTransport('sms').send({ to, text })
+  },
+  whatsapp: {
+    address: (recipient) => normalizePhone(recipient.phone),
+    send: ({ to, text }) => getTransport('whatsapp').send({ to, text })
+  },
+};
+
+const enabledChannels = () => (process.env.NOTIFY_CHANNELS || 'email')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => CHANNELS[name]);
+
+// Who hears about an order besides the customer (OWNER_NOTIFY_EMAIL / OWNER_NOTIFY_PHONE)
+const ownerRecipient = () => ({
+  email: process.env.OWNER_NOTIFY_EMAIL || process.env.ADMIN_EMAIL,
+  phone: process.env.OWNER_NOTIFY_PHONE
+});
+
+const deliver = (channel, message, log, attempt = 1) => Promise.resolve().then(() => CHANNELS[channel].send(message)).then(
+  (result) => log({ status: 'sent', attempts: attempt, providerId: result && result.id }),
+  (error) => {
+    if (attempt >= MAX_ATTEMPTS) {
+      console.error(`❌ ${channel} notification to ${message.to} failed after ${attempt} attempts:`, error.message);
+      return log({ status: 'failed', attempts: attempt, error: error.message });
+    }
+    return new Promise(resolve => {
+      setTimeout(() => resolve(deliver(channel, message, log, attempt + 1)), RETRY_DELAYS_MS[attempt - 1]).unref();
+    });
+  }
+);
+
+// Send every message for an order event (e.g. 'received', 'out_for_delivery') without
+// blocking the caller. `log(entry)` is called once per message with its final outcome.
+const notifyOrderEvent = (event, order, { note, log = async () => {} } = {}) => {
+  const templates = TEMPLATES[event];
+  if (!templates) return;
+
+  const context = buildContext(order, note);
+  const audiences = {
+    customer: { email: order.customer && order.customer.email, phone: order.customer && order.customer.phone },
+    owner: ownerRecipient()
+  };
+
+  Object.entries(templates).forEach(([audience, template]) => {
+    enabledChannels().forEach(channel => {
+      const to = CHANNELS[channel].address(audiences[audience]);
+      if (!to) return;
+
+      const message = { to, subject: render(template.subject, context), text: render(template.text, context) };
+      const record = (outcome) => Promise.resolve(log({ event, audience, channel, to, at: new Date(), ...outcome }))
+        .catch(error => console.error('❌ Failed to record notification:', error));
+
+      deliver(channel, message, record);
+    });
+  });
+};
+
+module.exports = {
+  TEMPLATES,
+  render,
+  normalizePhone,
+  registerTransport,
+  notifyOrderEvent,
+};
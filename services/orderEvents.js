@@ -0,0 +1,82 @@
+// Live order updates pushed to the kitchen dashboard and to customers tracking an order.
+// Events are kept in a short in-memory buffer so a reconnecting client can send
+// Last-Event-ID and receive what it missed. The buffer is per process and lost on restart;
+// when a client is too far behind it gets a `resync` event and should refetch.
+
+const { EventEmitter } = require('events');
+
+const BUFFER_SIZE = parseInt(process.env.ORDER_EVENTS_BUFFER, 10) || 500;
+const HEARTBEAT_MS = 25 * 1000; // below the usual 30s proxy idle timeout
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open stream
+
+const buffer = [];
+let lastId = 0;
+
+// Record an event and push it to every open stream
+const publish = (type, data) => {
+  const event = { id: ++lastId, type, at: new Date().toISOString(), data };
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+  emitter.emit('event', event);
+  return event;
+};
+
+// Events after `sinceId`, or null if some of them have already been dropped
+const eventsSince = (sinceId) => {
+  if (!Number.isInteger(sinceId) || sinceId < 0 || sinceId >= lastId) return [];
+  if (buffer.length === 0 || buffer[0].id > sinceId + 1) return null;
+  return buffer.filter(event => event.id > sinceId);
+};
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+};
+
+// Turn a response into a Server-Sent Events stream. `filter(event)` returns the data
+// to send (or null to skip). An optional `initial` { type, data } is sent first without
+// an id, then missed events are replayed from Last-Event-ID.
+const stream = (req, res, filter, initial) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  if (initial) {
+    res.write(`event: ${initial.type}\ndata: ${JSON.stringify(initial.data)}\n\n`);
+  }
+
+  const send = (event) => {
+    const data = filter(event);
+    if (data) writeEvent(res, { ...event, data });
+  };
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  if (!isNaN(lastEventId)) {
+    const missed = eventsSince(lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      writeEvent(res, { id: lastId, type: 'resync', at: new Date().toISOString(), data: {} });
+    }
+  }
+
+  emitter.on('event', send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    emitter.off('event', send);
+  });
+};
+
+module.exports = {
+  publish,
+  eventsSince,
+  stream,
+};
@@ -0,0 +1,149 @@
+const orderEvents = require('./orderEvents');
+const { STATUSES, isValidStatus, canTransition } = require('./orderStatus');
+const { notifyOrderEvent } = require('./notifications');
+const { Order } = require('../models');
+const { roundMoney, releaseOrderStock, releaseOrderCoupon } = require('./checkout');
+const { releaseOrderSlot } = require('./slots');
+const { httpError } = require('./httpError');
+
+// What happens to a saved order: status changes (with stock/coupon release,
+// notifications and live events) and recording payment results.
+
+// Who made a change, as recorded in an order's status history
+const actorFromAdmin = (admin) => ({
+  kind: 'admin',
+  id: String(admin._id),
+  name: admin.name || admin.email,
+  role: admin.role
+});
+
+// Tell the customer (and the owner, for some events) about an order, recording each delivery on the order
+const notifyOrder = (event, order, note) => {
+  notifyOrderEvent(event, order, {
+    note,
+    log: (entry) => Order.updateOne({ _id: order._id }, { $push: { notifications: entry } })
+  });
+};
+
+// Move an order to a new status, enforcing the lifecycle and recording history.
+// The update is conditional on the current status so concurrent changes can't both win.
+// `from` narrows the statuses the order may be moved out of (e.g. what a customer may cancel).
+const transitionOrder = async (orderId, to, actor, note, { from } = {}) => {
+  if (!isValidStatus(to)) {
+    throw httpError(400, `Status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw httpError(404, 'Order not found');
+  }
+
+  if (from && !from.includes(order.status)) {
+    throw httpError(409, `Order can no longer be ${to} - it is ${order.status.replace(/_/g, ' ')}`, {
+      currentStatus: order.status
+    });
+  }
+
+  if (!canTransition(order.status, to)) {
+    throw httpError(409, `Cannot change order from ${order.status} to ${to}`, {
+      currentStatus: order.status
+    });
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: { status: to },
+      $push: { statusHistory: { status: to, at: new Date(), by: actor, note: note || undefined } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw httpError(409, 'Order was updated by someone else. Please refresh and try again.');
+  }
+
+  if (to === 'cancelled') {
+    await releaseOrderStock(updated._id);
+    await releaseOrderCoupon(updated._id);
+    await releaseOrderSlot(updated);
+  }
+
+  // A pre-order reaching the kitchen isn't news to the customer the way a new order is
+  notifyOrder(order.status === 'scheduled' && to === 'received' ? 'released' : to, updated, note);
+
+  orderEvents.publish('order.status_changed', {
+    orderId: String(updated._id),
+    status: to,
+    previousStatus: order.status,
+    note: note || undefined,
+    order: updated
+  });
+
+  return { previous: order, order: updated };
+};
+
+const SCHEDULER = { kind: 'system', name: 'Scheduler' };
+
+// Move pre-orders whose kitchen time has come into the queue. Run every minute by server.js;
+// an order cancelled or released by staff in the meantime is skipped. Resolves how many moved.
+const releaseDueOrders = async (now = new Date()) => {
+  const due = await Order.find({ status: 'scheduled', releaseAt: { $lte: now } }).select('_id');
+
+  let released = 0;
+  for (const { _id } of due) {
+    try {
+      await transitionOrder(_id, 'received', SCHEDULER, undefined, { from: ['scheduled'] });
+      released += 1;
+    } catch (error) {
+      if (error.status !== 409) {
+        console.error(`❌ Failed to release scheduled order ${_id}:`, error.message);
+      }
+    }
+  }
+  return released;
+};
+
+const CURRENCY = 'NGN';
+
+// Record a verified payment result on an order. Safe to call repeatedly with the
+// same result: a paid order is never changed again, and a webhook event is applied once.
+const applyPaymentResult = async (order, result, eventId) => {
+  let paymentStatus;
+  if (result.status === 'success') {
+    const currencyOk = !result.currency || result.currency === CURRENCY;
+    paymentStatus = currencyOk && roundMoney(result.amount) >= order.total ? 'paid' : 'amount_mismatch';
+  } else if (result.status === 'failed') {
+    paymentStatus = 'failed';
+  } else {
+    return { order, changed: false };
+  }
+
+  const filter = { _id: order._id, paymentStatus: { $ne: 'paid' } };
+  const update = {
+    $set: {
+      paymentStatus,
+      'payment.transactionId': result.transactionId,
+      'payment.amountPaid': result.amount,
+      'payment.currency': result.currency,
+      'payment.verifiedAt': new Date()
+    }
+  };
+  if (eventId) {
+    filter['payment.processedEvents'] = { $ne: eventId };
+    update.$addToSet = { 'payment.processedEvents': eventId };
+  }
+
+  const updated = await Order.findOneAndUpdate(filter, update, { new: true });
+  return updated
+    ? { order: updated, changed: true }
+    : { order: await Order.findById(order._id), changed: false };
+};
+
+module.exports = {
+  actorFromAdmin,
+  notifyOrder,
+  transitionOrder,
+  releaseDueOrders,
+  applyPaymentResult,
+};
@@ -0,0 +1,43 @@
+const { STORE_TIMEZONE } = require('./availability');
+const { Counter } = require('../models');
+
+// Order numbers customers can read out on the phone: OBG-20261018-0042 is the 42nd order
+// placed on 18 October 2026 (store time). Each day has its own counter document, bumped
+// atomically so concurrent checkouts never share a number.
+
+const ORDER_NUMBER_PREFIX = process.env.ORDER_NUMBER_PREFIX || 'OBG';
+const ORDER_NUMBER_PATTERN = /^[A-Z]+-\d{8}-\d{4,}$/i;
+
+// "20261018" for the store's calendar day at `date`
+const storeDay = (date) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: STORE_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date).replace(/-/g, '');
+
+const nextOrderNumber = async (date = new Date()) => {
+  const day = storeDay(date);
+  const increment = () => Counter.findOneAndUpdate(
+    { _id: `order:${day}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    // Two first-orders-of-the-day can race to create the counter; the loser just retries
+    if (error.code !== 11000) throw error;
+    counter = await increment();
+  }
+
+  return `${ORDER_NUMBER_PREFIX}-${day}-${String(counter.seq).padStart(4, '0')}`;
+};
+
+module.exports = {
+  ORDER_NUMBER_PATTERN,
+  storeDay,
+  nextOrderNumber,
+};
@@ -0,0 +1,59 @@
+// Order lifecycle. Every status change goes through here so illegal jumps
+// (e.g. delivered back to preparing) are rejected server-side.
+
+const STATUSES = [
+  'scheduled', // pre-order waiting for its kitchen time - see releaseDueOrders
+  'received',
+  'confirmed',
+  'preparing',
+  'ready',
+  'out_for_delivery',
+  'delivered',
+  'cancelled',
+  'refunded',
+];
+
+// Allowed next states for each state
+const TRANSITIONS = {
+  scheduled: ['received', 'cancelled'],
+  received: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['out_for_delivery', 'delivered', 'cancelled'], // delivered straight from ready = pickup
+  out_for_delivery: ['delivered', 'cancelled'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+// Minimum staff role needed to move an order INTO a state
+const REQUIRED_ROLE = {
+  received: 'kitchen', // releasing a scheduled order early
+  confirmed: 'kitchen',
+  preparing: 'kitchen',
+  ready: 'kitchen',
+  out_for_delivery: 'rider',
+  delivered: 'rider',
+  cancelled: 'kitchen',
+  refunded: 'owner',
+};
+
+const isValidStatus = (status) => STATUSES.includes(status);
+
+const canTransition = (from, to) => Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+
+// Customers may cancel their own order only until the kitchen starts on it
+const CUSTOMER_CANCELLABLE = ['scheduled', 'received', 'confirmed'];
+
+// Maps the legacy `fulfilled` boolean onto the lifecycle
+const statusFromFulfilled = (fulfilled) => (fulfilled ? 'delivered' : 'received');
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  REQUIRED_ROLE,
+  CUSTOMER_CANCELLABLE,
+  isValidStatus,
+  canTransition,
+  statusFromFulfilled,
+};
@@ -0,0 +1,66 @@
+const config = require('../config');
+const { normalizePhone } = require('./notifications');
+
+// Public order tracking: what someone holding an order number may see once they've given
+// the email or phone on the order - progress and an ETA, nothing about items, address or payment.
+
+const MINUTE = 60 * 1000;
+
+// Minutes still to go from the start of each stage, before delivery time is added
+const STAGE_MINUTES = {
+  scheduled: ({ confirmMinutes, prepMinutes }) => confirmMinutes + prepMinutes,
+  received: ({ confirmMinutes, prepMinutes }) => confirmMinutes + prepMinutes,
+  confirmed: ({ prepMinutes }) => prepMinutes,
+  preparing: ({ prepMinutes }) => prepMinutes,
+  ready: () => 0,
+  out_for_delivery: () => 0,
+};
+
+const isDelivery = (order) => Boolean(order.deliveryLocation && order.deliveryLocation.id);
+
+// When the order entered `status` (its latest history entry), else when it was placed
+const enteredAt = (order, status) => {
+  const entry = [...(order.statusHistory || [])].reverse().find(item => item.status === status);
+  return new Date(entry ? entry.at : order.createdAt);
+};
+
+// Estimated delivery (or pickup) time: when the current stage started plus typical times for
+// what's left. Never earlier than now - a late order is due any minute - nor than the time a
+// pre-order was requested for. null once it's finished.
+const estimateEta = (order, now = new Date()) => {
+  const stage = STAGE_MINUTES[order.status];
+  if (!stage) return null;
+
+  const minutes = stage(config.orderEta) + (isDelivery(order) ? config.orderEta.deliveryMinutes : 0);
+  const eta = enteredAt(order, order.status).getTime() + minutes * MINUTE;
+  return new Date(Math.max(eta, now.getTime(), order.requestedAt ? new Date(order.requestedAt).getTime() : 0));
+};
+
+// Whether the email or phone given matches the customer on the order
+const matchesContact = (order, { email, phone }) => {
+  const customer = order.customer || {};
+  if (email && String(customer.email).toLowerCase() === email) return true;
+  if (phone) {
+    const given = normalizePhone(phone);
+    return given !== '' && given === normalizePhone(customer.phone);
+  }
+  return false;
+};
+
+const trackingView = (order) => ({
+  orderNumber: order.orderNumber,
+  status: order.status,
+  fulfilment: isDelivery(order) ? 'delivery' : 'pickup',
+  placedAt: order.createdAt,
+  requestedAt: order.requestedAt || null,
+  updatedAt: order.updatedAt,
+  estimatedAt: estimateEta(order),
+  refundStatus: order.refundStatus || 'none',
+  history: (order.statusHistory || []).map(entry => ({ status: entry.status, at: entry.at })),
+});
+
+module.exports = {
+  estimateEta,
+  matchesContact,
+  trackingView,
+};
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+
+// Payment providers share one interface:
+//   verify(reference)              -> { status, amount, currency, reference, transactionId }
+//   isValidWebhook(rawBody, headers) -> boolean
+//   parseWebhook(body)             -> { eventId, status, amount, currency, reference, transactionId } or null
+//   refund({ reference, transactionId, amount, currency, reason }) -> { status, refundId, error? }
+//   refundStatus(refundId)         -> { status, error? } - re-checks a refund that came back pending
+//   parseRefundWebhook(body)       -> { eventId, status, refundId, reference } or null (optional)
+// Amounts are always in major units (naira), statuses are success | failed | pending | not_found
+// (refunds: processed | pending | failed).
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hmac = (algorithm, secret, data, encoding = 'hex') =>
+  crypto.createHmac(algorithm, secret).update(data).digest(encoding);
+
+const requireSecret = (name) => {
+  const value = process.env[name];
+  if (!value) throw new Error(`${name} is not configured`);
+  return value;
+};
+
+const paystackRefundStatus = (status) => (status === 'processed' ? 'processed' : (status === 'failed' ? 'failed' : 'pending'));
+
+const paystack = {
+  async verify(reference) {
+    const response = await fetch(`https://api.paystack.co/transaction/verify/${encodeURIComponent(reference)}`, {
+      headers: { Authorization: `Bearer ${requireSecret('PAYSTACK_SECRET_KEY')}` }
+    });
+    if (response.status === 404) return { status: 'not_found', reference };
+
+    const body = await response.json();
+    if (!response.ok || !body.status) {
+      throw new Error(`Paystack verify failed: ${body.message || response.status}`);
+    }
+
+    const data = body.data;
+    return {
+      status: data.status === 'success' ? 'success' : (data.status === 'failed' || data.status === 'abandoned' ? 'failed' : 'pending'),
+      amount: data.amount / 100, // kobo
+      currency: data.currency,
+      reference: data.reference,
+      transactionId: String(data.id)
+    };
+  },
+
+  // x-paystack-signature is HMAC-SHA512 of the raw body with the secret key
+  isValidWebhook(rawBody, headers) {
+    const secret = process.env.PAYSTACK_SECRET_KEY;
+    if (!secret || !rawBody) return false;
+    return safeEqual(hmac('sha512', secret, rawBody), headers['x-paystack-signature']);
+  },
+
+  parseWebhook(body) {
+    if (!body || !body.data || !['charge.success', 'charge.failed'].includes(body.event)) return null;
+    const data = body.data;
+    return {
+      eventId: `${body.event}:${data.id}`,
+      status: body.event === 'charge.success' && data.status === 'success' ? 'success' : 'failed',
+      amount: data.amount / 100,
+      currency: data.currency,
+      reference: data.reference,
+      transactionId: String(data.id)
+    };
+  },
+
+  async refund({ reference, amount, currency, reason }) {
+    const response = await fetch('https://api.paystack.co/refund', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${requireSecret('PAYSTACK_SECRET_KEY')}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ transaction: reference, amount: Math.round(amount * 100), currency, merchant_note: reason })
+    });
+    const body = await response.json();
+    if (!response.ok || !body.status) {
+      return { status: 'failed', error: body.message || `Paystack refund failed (${response.status})` };
+    }
+    return {
+      status: paystackRefundStatus(body.data.status),
+      refundId: String(body.data.id)
+    };
+  },
+
+  async refundStatus(refundId) {
+    const response = await fetch(`https://api.paystack.co/refund/${encodeURIComponent(refundId)}`, {
+      headers: { Authorization: `Bearer ${requireSecret('PAYSTACK_SECRET_KEY')}` }
+    });
+    const body = await response.json();
+    if (!response.ok || !body.status) {
+      throw new Error(`Paystack refund check failed: ${body.message || response.status}`);
+    }
+    return { status: paystackRefundStatus(body.data.status) };
+  },
+
+  // Refunds usually start out pending and settle later with refund.processed / refund.failed
+  parseRefundWebhook(body) {
+    if (!body || !body.data || !['refund.processed', 'refund.failed'].includes(body.event)) return null;
+    const data = body.data;
+    return {
+      eventId: `${body.event}:${data.id || data.refund_reference || data.transaction_reference}`,
+      status: body.event === 'refund.processed' ? 'processed' : 'failed',
+      refundId: data.id ? String(data.id) : undefined,
+      reference: data.transaction_reference
+    };
+  },
+};
+
+const flutterwaveRefundStatus = (status) => (status === 'completed' ? 'processed' : (status === 'failed' ? 'failed' : 'pending'));
+
+const flutterwave = {
+  async verify(reference) {
+    const url = `https://api.flutterwave.com/v3/transactions/verify_by_reference?tx_ref=${encodeURIComponent(reference)}`;
+    const response = await fetch(url, {
+      headers: { Authorization: `Bearer ${requireSecret('FLUTTERWAVE_SECRET_KEY')}` }
+    });
+    if (response.status === 404) return { status: 'not_found', reference };
+
+    const body = await response.json();
+    if (!response.ok || body.status !== 'success') {
+      throw new Error(`Flutterwave verify failed: ${body.message || response.status}`);
+    }
+
+    const data = body.data;
+    return {
+      status: data.status === 'successful' ? 'success' : (data.status === 'failed' ? 'failed' : 'pending'),
+      amount: data.amount,
+      currency: data.currency,
+      reference: data.tx_ref,
+      transactionId: String(data.id)
+    };
+  },
+
+  // flutterwave-signature is base64 HMAC-SHA256 of the raw body with the webhook secret hash.
+  // Older dashboards send the secret hash itself as verif-hash.
+  isValidWebhook(rawBody, headers) {
+    const secret = process.env.FLUTTERWAVE_WEBHOOK_HASH;
+    if (!secret || !rawBody) return false;
+    if (headers['flutterwave-signature']) {
+      return safeEqual(hmac('sha256', secret, rawBody, 'base64'), headers['flutterwave-signature']);
+    }
+    return safeEqual(secret, headers['verif-hash']);
+  },
+
+  parseWebhook(body) {
+    if (!body || !body.data || body.event !== 'charge.completed') return null;
+    const data = body.data;
+    return {
+      eventId: `${body.event}:${data.id}`,
+      status: data.status === 'successful' ? 'success' : (data.status === 'failed' ? 'failed' : 'pending'),
+      amount: data.amount,
+      currency: data.currency,
+      reference: data.tx_ref,
+      transactionId: String(data.id)
+    };
+  },
+
+  // Refunds go by Flutterwave's transaction id, not our reference
+  async refund({ transactionId, amount, reason }) {
+    if (!transactionId) return { status: 'failed', error: 'Payment has no Flutterwave transaction id' };
+    const response = await fetch(`https://api.flutterwave.com/v3/transactions/${encodeURIComponent(transactionId)}/refund`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${requireSecret('FLUTTERWAVE_SECRET_KEY')}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ amount, comments: reason })
+    });
+    const body = await response.json();
+    if (!response.ok || body.status !== 'success') {
+      return { status: 'failed', error: body.message || `Flutterwave refund failed (${response.status})` };
+    }
+    return {
+      status: flutterwaveRefundStatus(body.data.status),
+      refundId: String(body.data.id)
+    };
+  },
+
+  async refundStatus(refundId) {
+    const response = await fetch(`https://api.flutterwave.com/v3/refunds/${encodeURIComponent(refundId)}`, {
+      headers: { Authorization: `Bearer ${requireSecret('FLUTTERWAVE_SECRET_KEY')}` }
+    });
+    const body = await response.json();
+    if (!response.ok || body.status !== 'success') {
+      throw new Error(`Flutterwave refund check failed: ${body.message || response.status}`);
+    }
+    return { status: flutterwaveRefundStatus(body.data.status) };
+  },
+};
+
+// In-memory gateway for local development and tests. Off unless enabled - see isFakeAllowed.
+const fakeTransactions = new Map();
+const fakeRefunds = new Map();
+
+const fake = {
+  // Record a charge the way the real gateway would after checkout.
+  // `refundStatus` is what refunds of it will come back as (processed, pending or failed).
+  createTransaction({ reference, amount, currency = 'NGN', status = 'success', refundStatus = 'processed' }) {
+    const transaction = {
+      reference,
+      amount,
+      currency,
+      status,
+      transactionId: `fake_${crypto.randomBytes(6).toString('hex')}`,
+      refundStatus,
+      refunded: 0
+    };
+    fakeTransactions.set(reference, transaction);
+    return transaction;
+  },
+
+  // Signature header value for a webhook body, as the gateway would send it
+  signWebhook(rawBody) {
+    return hmac('sha256', requireSecret('FAKE_PAYMENT_SECRET'), rawBody);
+  },
+
+  // Settle a refund that came back pending, as the gateway eventually would
+  settleRefund(refundId, status = 'processed') {
+    const refund = fakeRefunds.get(refundId);
+    if (refund) refund.status = status;
+    return refund;
+  },
+
+  reset() {
+    fakeTransactions.clear();
+    fakeRefunds.clear();
+  },
+
+  async verify(reference) {
+    const transaction = fakeTransactions.get(reference);
+    if (!transaction) return { status: 'not_found', reference };
+    const { status, amount, currency, transactionId } = transaction;
+    return { status, amount, currency, reference, transactionId };
+  },
+
+  async refund({ reference, amount }) {
+    const transaction = fakeTransactions.get(reference);
+    if (!transaction || transaction.status !== 'success') return { status: 'failed', error: 'Transaction not found' };
+    if (amount > transaction.amount - transaction.refunded) return { status: 'failed', error: 'Refund exceeds the amount paid' };
+    if (transaction.refundStatus === 'failed') return { status: 'failed', error: 'Refund declined' };
+    transaction.refunded += amount;
+    const refundId = `fake_refund_${crypto.randomBytes(6).toString('hex')}`;
+    fakeRefunds.set(refundId, { refundId, reference, amount, status: transaction.refundStatus });
+    return { status: transaction.refundStatus, refundId };
+  },
+
+  async refundStatus(refundId) {
+    const refund = fakeRefunds.get(refundId);
+    return refund ? { status: refund.status } : { status: 'failed', error: 'Refund not found' };
+  },
+
+  parseRefundWebhook(body) {
+    if (!body || body.type !== 'refund' || !body.refundId) return null;
+    return {
+      eventId: body.id || `${body.refundId}:${body.status}`,
+      status: body.status,
+      refundId: body.refundId,
+      reference: body.reference
+    };
+  },
+
+  // x-fake-signature is hex HMAC-SHA256 of the raw body with FAKE_PAYMENT_SECRET
+  isValidWebhook(rawBody, headers) {
+    const secret = process.env.FAKE_PAYMENT_SECRET;
+    if (!secret || !rawBody) return false;
+    return safeEqual(hmac('sha256', secret, rawBody), headers['x-fake-signature']);
+  },
+
+  parseWebhook(body) {
+    if (!body || !body.reference || body.type === 'refund') return null;
+    return {
+      eventId: body.id || `${body.reference}:${body.status}`,
+      status: body.status,
+      amount: body.amount,
+      currency: body.currency || 'NGN',
+      reference: body.reference,
+      transactionId: body.transactionId
+    };
+  },
+};
+
+const providers = { paystack, flutterwave, fake };
+
+// The fake gateway marks orders paid without money changing hands, so it's only ever on when
+// asked for - in tests or with PAYMENT_PROVIDER=fake - never just because NODE_ENV isn't production
+const isFakeAllowed = () => process.env.NODE_ENV === 'test' || process.env.PAYMENT_PROVIDER === 'fake';
+
+// Returns the provider or null when unknown/disabled
+const getProvider = (name) => {
+  if (name === 'fake' && !isFakeAllowed()) return null;
+  return Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+};
+
+// Which gateway an order's paymentMethod is settled through (null = offline, e.g. cash on delivery).
+// Customers may name a real gateway; the fake one is only used when it's the configured provider.
+const OFFLINE_METHODS = ['cash', 'cash_on_delivery', 'pay_on_delivery', 'transfer', 'bank_transfer'];
+const SELECTABLE_PROVIDERS = ['paystack', 'flutterwave'];
+
+const providerForMethod = (paymentMethod) => {
+  const method = String(paymentMethod || '').toLowerCase();
+  if (OFFLINE_METHODS.includes(method)) return null;
+  if (SELECTABLE_PROVIDERS.includes(method)) return method;
+  return process.env.PAYMENT_PROVIDER || 'paystack';
+};
+
+module.exports = {
+  getProvider,
+  providerForMethod,
+  fake,
+};
@@ -0,0 +1,171 @@
+// Reading product rows for bulk import from a CSV or JSON upload. Validation and
+// saving happen in the route, with the same rules as POST /api/products.
+
+// Header names accepted for each product field, compared lowercase without spaces or
+// punctuation - so the columns of a products export ("Product ID", "Image URL") work too
+const HEADER_ALIASES = {
+  id: ['id', '_id', 'productid'],
+  sku: ['sku', 'code', 'productcode'],
+  name: ['name', 'productname'],
+  description: ['description'],
+  price: ['price'],
+  category: ['category', 'categoryid', 'categoryname', 'categoryslug'],
+  imageUrl: ['imageurl', 'image', 'imagelink'],
+  available: ['available'],
+  stock: ['stock'],
+  optionGroups: ['optiongroups'],
+};
+
+const FIELD_FOR_HEADER = Object.entries(HEADER_ALIASES).reduce((map, [field, aliases]) => {
+  aliases.forEach(alias => { map[alias] = field; });
+  return map;
+}, {});
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9_]/g, '');
+
+// RFC 4180 CSV: quoted fields may hold commas, quotes ("") and line breaks.
+// Returns an array of { line, cells, error? } with the 1-based line each record starts on.
+// A quote inside an unquoted field, or text after a closing quote, marks just that record
+// with an error, so one bad row doesn't stop the rest of the file.
+const parseCsv = (text) => {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let closedQuote = false;
+  let error;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== '') records.push({ line: recordLine, cells, ...(error ? { error } : {}) });
+    cells = [];
+    cell = '';
+    error = undefined;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+        closedQuote = true;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    const endsField = char === ',' || char === '\n' || char === '\r';
+    if (closedQuote && !endsField && !error) {
+      error = `Unexpected text after a closing quote in column ${cells.length + 1}`;
+    }
+    closedQuote = false;
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === '"') {
+      if (!error) error = `Stray quote in column ${cells.length + 1} - quote the whole field and double any quotes inside it`;
+      cell += char;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Unclosed quote in record starting on line ${recordLine}`);
+  if (cell !== '' || cells.length > 0) endRecord();
+
+  return records;
+};
+
+// Map a raw record onto product fields. Unknown columns are ignored, and blank cells
+// leave the field unset - except stock, where blank means "not tracked" as in exports.
+const toProductRow = (raw) => {
+  const row = {};
+  Object.entries(raw).forEach(([header, value]) => {
+    const field = FIELD_FOR_HEADER[normalizeHeader(header)];
+    if (!field) return;
+    const cleaned = typeof value === 'string' ? value.trim() : value;
+    if (cleaned === '' && field !== 'stock') return;
+    row[field] = cleaned;
+  });
+  return row;
+};
+
+// Rows from an uploaded file (CSV or JSON) or a JSON body of { products: [...] }.
+// Returns { rows: [{ row, data, error? }] } where `row` is the CSV line or 1-based array
+// position and `error` says why a malformed CSV row can't be used, or { error } when the
+// file itself can't be read.
+const readImportRows = (file, body) => {
+  let records;
+
+  if (file) {
+    const text = file.buffer.toString('utf8');
+    const isJson = /\.json$/i.test(file.originalname) || file.mimetype === 'application/json';
+    if (isJson) {
+      try {
+        records = JSON.parse(text);
+      } catch (error) {
+        return { error: 'File is not valid JSON' };
+      }
+    } else {
+      let parsed;
+      try {
+        parsed = parseCsv(text);
+      } catch (error) {
+        return { error: error.message };
+      }
+      if (parsed.length < 2) return { error: 'CSV needs a header row and at least one product' };
+
+      const [header, ...data] = parsed;
+      if (header.error) return { error: `CSV header: ${header.error}` };
+      if (!header.cells.some(cell => FIELD_FOR_HEADER[normalizeHeader(cell)] === 'name')) {
+        return { error: 'CSV header must include a name column' };
+      }
+      return {
+        rows: data.map(({ line, cells, error }) => ({
+          row: line,
+          data: toProductRow(Object.fromEntries(header.cells.map((name, index) => [name, cells[index] === undefined ? '' : cells[index]]))),
+          error: error || (cells.length !== header.cells.length
+            ? `Row has ${cells.length} columns but the header has ${header.cells.length}`
+            : undefined)
+        }))
+      };
+    }
+  } else {
+    records = body && body.products;
+  }
+
+  if (records && !Array.isArray(records) && Array.isArray(records.products)) records = records.products;
+  if (!Array.isArray(records) || records.length === 0) {
+    return { error: 'Upload a CSV or JSON file, or send { "products": [...] }' };
+  }
+
+  return {
+    rows: records.map((record, index) => ({
+      row: index + 1,
+      data: record && typeof record === 'object' ? toProductRow(record) : {}
+    }))
+  };
+};
+
+module.exports = {
+  parseCsv,
+  readImportRows,
+};
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+// Variant and modifier groups on products, e.g. "Size: small/medium/large" (variant)
+// or "Extras: pepper sauce, plantain" (modifier). Helpers return { error } instead of throwing
+// so routes can answer with a 400.
+
+// Ids sent back on update must be real ids, or saving fails with a CastError
+const isValidId = (id) => id === undefined || id === null || id === '' || mongoose.Types.ObjectId.isValid(String(id));
+
+const toNumber = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// Check and normalise groups sent by the admin dashboard.
+// Accepts an array or a JSON string (multipart forms can only send strings).
+const normalizeOptionGroups = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return { groups: [] };
+
+  let input = raw;
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch (error) {
+      return { error: 'optionGroups must be valid JSON' };
+    }
+  }
+  if (!Array.isArray(input)) return { error: 'optionGroups must be an array' };
+
+  const groups = [];
+  for (const [index, group] of input.entries()) {
+    const label = `optionGroups[${index}]`;
+    if (!group || typeof group.name !== 'string' || group.name.trim() === '') {
+      return { error: `${label}.name is required` };
+    }
+    if (!isValidId(group._id)) {
+      return { error: `${label}._id must be a valid ID` };
+    }
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      return { error: `${label} needs at least one option` };
+    }
+
+    const kind = group.kind === 'variant' ? 'variant' : 'modifier';
+    const options = [];
+    for (const [optionIndex, option] of group.options.entries()) {
+      if (!option || typeof option.name !== 'string' || option.name.trim() === '') {
+        return { error: `${label}.options[${optionIndex}].name is required` };
+      }
+      if (!isValidId(option._id)) {
+        return { error: `${label}.options[${optionIndex}]._id must be a valid ID` };
+      }
+      const priceDelta = toNumber(option.priceDelta, 0);
+      if (Number.isNaN(priceDelta)) {
+        return { error: `${label}.options[${optionIndex}].priceDelta must be a number` };
+      }
+      options.push({
+        ...(option._id ? { _id: option._id } : {}),
+        name: option.name.trim(),
+        priceDelta,
+        available: option.available !== false
+      });
+    }
+
+    // A variant is exactly one choice from the group
+    let required = kind === 'variant' ? true : Boolean(group.required);
+    let minSelections = kind === 'variant' ? 1 : toNumber(group.minSelections, required ? 1 : 0);
+    let maxSelections = kind === 'variant' ? 1 : toNumber(group.maxSelections, options.length);
+
+    if (!Number.isInteger(minSelections) || !Number.isInteger(maxSelections) || minSelections < 0 || maxSelections < 1) {
+      return { error: `${label} min/max selections must be whole numbers` };
+    }
+    if (required && minSelections < 1) minSelections = 1;
+    if (minSelections > maxSelections) {
+      return { error: `${label} minSelections cannot exceed maxSelections` };
+    }
+    if (maxSelections > options.length) {
+      return { error: `${label} maxSelections cannot exceed the number of options` };
+    }
+    required = minSelections > 0;
+
+    groups.push({
+      ...(group._id ? { _id: group._id } : {}),
+      name: group.name.trim(),
+      kind,
+      required,
+      minSelections,
+      maxSelections,
+      options
+    });
+  }
+
+  return { groups };
+};
+
+const matches = (doc, key) => String(doc._id) === String(key) || doc.name.toLowerCase() === String(key).toLowerCase();
+
+// Check a cart line's selections against the product's groups and price them.
+// selections: [{ group: <group id or name>, option: <option id or name> }]
+const resolveSelections = (product, selections) => {
+  const groups = product.optionGroups || [];
+  const chosen = [];
+  const counts = new Map();
+
+  if (selections !== undefined && !Array.isArray(selections)) {
+    return { error: `Options for ${product.name} must be a list` };
+  }
+
+  for (const selection of selections || []) {
+    const group = selection && groups.find(g => matches(g, selection.group));
+    if (!group) {
+      return { error: `Unknown option group for ${product.name}: ${selection && selection.group}` };
+    }
+    const option = group.options.find(o => matches(o, selection.option));
+    if (!option) {
+      return { error: `Unknown option for ${product.name} / ${group.name}: ${selection.option}` };
+    }
+    if (!option.available) {
+      return { error: `${option.name} is currently unavailable for ${product.name}` };
+    }
+    if (chosen.some(c => String(c.optionId) === String(option._id))) {
+      return { error: `${option.name} was selected more than once for ${product.name}` };
+    }
+
+    counts.set(String(group._id), (counts.get(String(group._id)) || 0) + 1);
+    chosen.push({
+      groupId: String(group._id),
+      group: group.name,
+      optionId: String(option._id),
+      name: option.name,
+      priceDelta: option.priceDelta
+    });
+  }
+
+  for (const group of groups) {
+    const count = counts.get(String(group._id)) || 0;
+    if (count < group.minSelections) {
+      return { error: `Choose at least ${group.minSelections} ${group.name} for ${product.name}` };
+    }
+    if (count > group.maxSelections) {
+      return { error: `Choose at most ${group.maxSelections} ${group.name} for ${product.name}` };
+    }
+  }
+
+  // Discounting options can't take a line below free
+  const unitPrice = Math.max(0, product.price + chosen.reduce((sum, option) => sum + option.priceDelta, 0));
+  return { options: chosen, unitPrice };
+};
+
+module.exports = {
+  normalizeOptionGroups,
+  resolveSelections,
+};
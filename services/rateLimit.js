@@ -0,0 +1,73 @@
+// Request counters for rate limiting. Counts are kept in a store with two methods:
+//   increment(key, windowMs) -> { count, resetAt }
+// which counts a hit for `key` in its current window (starting a new window of `windowMs`
+// when the last one is over), and
+//   peek(key) -> { count, resetAt } or null
+// which reads the current window without counting. The default store keeps counts in memory,
+// which suits a single server; use setStore() to share counts between instances
+// (e.g. Redis INCR + PEXPIRE, GET + PTTL).
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Forget finished windows now and then so idle keys don't pile up
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async peek(key) {
+      const entry = windows.get(key);
+      if (!entry || entry.resetAt <= Date.now()) return null;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset() {
+      windows.clear();
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+const setStore = (next) => {
+  if (!next || typeof next.increment !== 'function' || typeof next.peek !== 'function') {
+    throw new Error('Rate limit store must implement increment(key, windowMs) and peek(key)');
+  }
+  store = next;
+};
+
+// Count a request against `key`; resolves to { count, resetAt } for its window
+const hit = (key, windowMs) => store.increment(key, windowMs);
+
+// Current { count, resetAt } for `key` without counting, or null when it has no open window
+const peek = (key) => store.peek(key);
+
+// Start every counter over (stores without reset() are left alone)
+const resetAll = async () => {
+  if (typeof store.reset === 'function') await store.reset();
+};
+
+module.exports = {
+  createMemoryStore,
+  setStore,
+  hit,
+  peek,
+  resetAll,
+};
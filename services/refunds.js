@@ -0,0 +1,188 @@
+const payments = require('./payments');
+const { Order, Refund } = require('../models');
+const { roundMoney } = require('./checkout');
+const { transitionOrder } = require('./orderLifecycle');
+const { httpError } = require('./httpError');
+
+// Cancelling orders and sending money back. Every refund is recorded against the order's
+// payment reference before the provider is asked, so a crash mid-call still leaves a trace.
+
+const REFUNDABLE_STATUSES = ['cancelled', 'delivered'];
+
+const amountPaid = (order) => roundMoney((order.payment && order.payment.amountPaid) || order.total);
+
+// Work out the order's refundStatus/refundedAmount from its refund records
+const syncOrderRefunds = async (orderId) => {
+  const order = await Order.findById(orderId);
+  const refunds = await Refund.find({ order: orderId }).sort({ createdAt: 1 });
+
+  const refundedAmount = roundMoney(refunds
+    .filter((refund) => refund.status === 'processed')
+    .reduce((sum, refund) => sum + refund.amount, 0));
+
+  let refundStatus = 'none';
+  if (refunds.some((refund) => refund.status === 'pending')) refundStatus = 'pending';
+  else if (refundedAmount >= amountPaid(order)) refundStatus = 'refunded';
+  else if (refundedAmount > 0) refundStatus = 'partial';
+  else if (refunds.length > 0) refundStatus = 'failed';
+
+  return Order.findByIdAndUpdate(orderId, { $set: { refundStatus, refundedAmount } }, { new: true });
+};
+
+// Amount already sent back or on its way for an order, from its refund records other than `refundId`
+const refundedBesides = async (orderId, refundId) => {
+  const refunds = await Refund.find({ order: orderId, _id: { $ne: refundId }, status: { $in: ['processed', 'pending'] } });
+  return roundMoney(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+};
+
+// Sync the order with its refunds, moving it to "refunded" once everything paid is back
+const syncOrder = async (orderId, actor, note) => {
+  const order = await syncOrderRefunds(orderId);
+  if (order.refundStatus !== 'refunded' || order.status === 'refunded') return order;
+  return (await transitionOrder(orderId, 'refunded', actor, note)).order;
+};
+
+// Refund some or all (the default) of what's left of a paid order through its payment provider.
+// Resolves { refund, order }; a provider that declines gives a refund with status "failed", not an error.
+const refundOrder = async (order, { amount, reason, actor }) => {
+  if (order.paymentStatus !== 'paid') {
+    throw httpError(409, 'Order has not been paid online, so there is nothing to refund');
+  }
+
+  const providerName = order.payment && order.payment.provider;
+  const provider = payments.getProvider(providerName);
+  if (!provider || !provider.refund) {
+    throw httpError(409, `Payments through ${providerName || order.paymentMethod} can't be refunded here - refund the customer offline`);
+  }
+
+  const remaining = roundMoney(amountPaid(order) - (order.refundedAmount || 0));
+  if (remaining <= 0) {
+    throw httpError(409, 'Order has already been refunded in full');
+  }
+
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    throw httpError(409, 'Cancel the order before refunding it', { currentStatus: order.status });
+  }
+
+  const refundAmount = amount === undefined || amount === null ? remaining : roundMoney(amount);
+  if (refundAmount <= 0 || refundAmount > remaining) {
+    throw httpError(400, `Refund amount must be between 0 and ${remaining}`, { remaining });
+  }
+
+  let refund;
+  try {
+    refund = await Refund.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      paymentReference: order.paymentReference,
+      provider: providerName,
+      transactionId: order.payment.transactionId,
+      amount: refundAmount,
+      currency: order.payment.currency || undefined,
+      reason,
+      requestedBy: actor
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(409, 'A refund for this order is already in progress');
+    }
+    throw error;
+  }
+
+  // This is now the order's one pending refund, so no other can start - but one may have been
+  // processed since `order` was loaded. Check what's left against the refund records.
+  const left = roundMoney(amountPaid(order) - await refundedBesides(order._id, refund._id));
+  if (refundAmount > left) {
+    await Refund.deleteOne({ _id: refund._id });
+    if (left <= 0) throw httpError(409, 'Order has already been refunded in full');
+    throw httpError(400, `Refund amount must be between 0 and ${left}`, { remaining: left });
+  }
+
+  let result;
+  try {
+    result = await provider.refund({
+      reference: order.paymentReference,
+      transactionId: order.payment.transactionId,
+      amount: refundAmount,
+      currency: refund.currency,
+      reason
+    });
+  } catch (error) {
+    console.error(`❌ Refund failed (${providerName}):`, error.message);
+    result = { status: 'failed', error: error.message };
+  }
+
+  refund.status = result.status;
+  refund.providerRefundId = result.refundId;
+  refund.error = result.error;
+  await refund.save();
+
+  return { refund, order: await syncOrder(order._id, actor, reason) };
+};
+
+// Record the final outcome of a refund the provider answered "pending". Only a pending refund
+// changes, so repeated webhooks and re-checks are harmless. Resolves { refund, order }.
+const settleRefund = async (refund, { status, error }) => {
+  if (status === 'pending') {
+    return { refund, order: await Order.findById(refund.order) };
+  }
+
+  const settled = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'pending' },
+    { $set: { status, error } },
+    { new: true }
+  );
+  if (!settled) {
+    return { refund: await Refund.findById(refund._id), order: await Order.findById(refund.order) };
+  }
+
+  return { refund: settled, order: await syncOrder(settled.order, settled.requestedBy, settled.reason) };
+};
+
+// Ask the provider again about a pending refund (for when its webhook never arrives)
+const recheckRefund = async (refund) => {
+  if (refund.status !== 'pending') {
+    throw httpError(409, `Refund is already ${refund.status}`);
+  }
+  const provider = payments.getProvider(refund.provider);
+  if (!provider || !provider.refundStatus || !refund.providerRefundId) {
+    throw httpError(409, 'This refund can only be checked with the payment provider directly');
+  }
+  return settleRefund(refund, await provider.refundStatus(refund.providerRefundId));
+};
+
+// Apply a provider's refund webhook event. The refund is matched by the provider's refund id,
+// or else the pending refund on the payment reference. Resolves null when nothing matches.
+const applyRefundEvent = async (providerName, event) => {
+  const refund = event.refundId
+    ? await Refund.findOne({ provider: providerName, providerRefundId: event.refundId })
+    : await Refund.findOne({ provider: providerName, paymentReference: event.reference, status: 'pending' });
+  if (!refund) return null;
+  return settleRefund(refund, event);
+};
+
+// Cancel an order (stock and coupon go back via transitionOrder) and refund it in full if it
+// was paid online. A refund that can't be made doesn't undo the cancellation - the order's
+// refundStatus shows it and an owner can retry.
+const cancelOrder = async (orderId, actor, reason, { from } = {}) => {
+  const { order } = await transitionOrder(orderId, 'cancelled', actor, reason, { from });
+
+  if (order.paymentStatus !== 'paid' || !payments.getProvider(order.payment && order.payment.provider)) {
+    return { order, refund: null };
+  }
+
+  try {
+    return await refundOrder(order, { reason, actor });
+  } catch (error) {
+    console.error(`❌ Refund after cancelling ${order.orderNumber || order._id} failed:`, error.message);
+    return { order: await Order.findById(order._id), refund: null };
+  }
+};
+
+module.exports = {
+  refundOrder,
+  settleRefund,
+  recheckRefund,
+  applyRefundEvent,
+  cancelOrder,
+};
@@ -0,0 +1,192 @@
+const { STORE_TIMEZONE } = require('./availability');
+
+// Sales report pipelines over the orders collection. Everything is grouped in the
+// store's timezone, and cancelled/refunded orders never count as sales.
+// Needs MongoDB 5.0 or later - periods are grouped with $dateTrunc.
+
+const EXCLUDED_STATUSES = ['cancelled', 'refunded'];
+const INTERVALS = ['day', 'week', 'month'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Minutes the store's clock is ahead of UTC at `date`
+const timezoneOffset = (date, timeZone = STORE_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+// "2026-10-18" means midnight at the store; full timestamps are used as given
+const parseBoundary = (value) => {
+  if (DATE_ONLY.test(value)) {
+    const utcMidnight = new Date(`${value}T00:00:00Z`);
+    if (isNaN(utcMidnight.getTime())) return utcMidnight;
+    return new Date(utcMidnight.getTime() - timezoneOffset(utcMidnight) * 60000);
+  }
+  return new Date(value);
+};
+
+// The calendar day after "YYYY-MM-DD" (passed through unchanged if it isn't a real date)
+const nextDay = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  if (isNaN(day.getTime())) return date;
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+};
+
+// createdAt filter for ?from=&to=. A date-only `to` includes that whole day.
+// Returns { range } (undefined when neither is given) or { error }.
+const dateRangeFilter = (query) => {
+  if (!query.from && !query.to) return { range: undefined };
+
+  const range = {};
+  if (query.from) {
+    const from = parseBoundary(String(query.from));
+    if (isNaN(from.getTime())) return { error: 'from must be a date (YYYY-MM-DD) or ISO timestamp' };
+    range.$gte = from;
+  }
+  if (query.to) {
+    const value = String(query.to);
+    const dateOnly = DATE_ONLY.test(value);
+    const to = parseBoundary(dateOnly ? nextDay(value) : value);
+    if (isNaN(to.getTime())) return { error: 'to must be a date (YYYY-MM-DD) or ISO timestamp' };
+    range[dateOnly ? '$lt' : '$lte'] = to;
+  }
+  return { range };
+};
+
+// Order filter for ?from=&to=&paymentStatus=. Returns { match } or { error }.
+const reportMatch = (query) => {
+  const match = { status: { $nin: EXCLUDED_STATUSES } };
+
+  const { range, error } = dateRangeFilter(query);
+  if (error) return { error };
+  if (range) match.createdAt = range;
+
+  if (query.paymentStatus) {
+    match.paymentStatus = { $in: String(query.paymentStatus).split(',') };
+  }
+
+  return { match };
+};
+
+const roundMoneyExpr = (expr) => ({ $round: [expr, 2] });
+
+const salesTotals = {
+  orders: { $sum: 1 },
+  revenue: { $sum: '$total' },
+  discounts: { $sum: { $ifNull: ['$discount', 0] } },
+  deliveryFees: { $sum: { $ifNull: ['$deliveryFee', 0] } }
+};
+
+const salesFields = {
+  orders: 1,
+  revenue: roundMoneyExpr('$revenue'),
+  discounts: roundMoneyExpr('$discounts'),
+  deliveryFees: roundMoneyExpr('$deliveryFees'),
+  averageOrderValue: roundMoneyExpr({ $cond: [{ $gt: ['$orders', 0] }, { $divide: ['$revenue', '$orders'] }, 0] })
+};
+
+// Overall order count, revenue and average order value
+const summaryPipeline = (match) => [
+  { $match: match },
+  { $group: { _id: null, ...salesTotals } },
+  { $project: { _id: 0, ...salesFields } }
+];
+
+// Revenue and order count per day, week (starting Monday) or month
+const salesByPeriodPipeline = (match, interval) => [
+  { $match: match },
+  {
+    $group: {
+      _id: { $dateTrunc: { date: '$createdAt', unit: interval, timezone: STORE_TIMEZONE, startOfWeek: 'monday' } },
+      ...salesTotals
+    }
+  },
+  { $sort: { _id: 1 } },
+  {
+    $project: {
+      _id: 0,
+      period: { $dateToString: { date: '$_id', format: '%Y-%m-%d', timezone: STORE_TIMEZONE } },
+      ...salesFields
+    }
+  }
+];
+
+// Best sellers by quantity or revenue (line totals, before order-level discounts)
+const topProductsPipeline = (match, sortBy, limit) => [
+  { $match: match },
+  { $unwind: '$items' },
+  {
+    $group: {
+      _id: '$items.id',
+      name: { $last: '$items.name' },
+      quantity: { $sum: '$items.quantity' },
+      revenue: { $sum: { $ifNull: ['$items.lineTotal', { $multiply: ['$items.price', '$items.quantity'] }] } },
+      orders: { $addToSet: '$_id' }
+    }
+  },
+  { $sort: sortBy === 'revenue' ? { revenue: -1, quantity: -1 } : { quantity: -1, revenue: -1 } },
+  { $limit: limit },
+  { $project: { _id: 0, productId: '$_id', name: 1, quantity: 1, revenue: roundMoneyExpr('$revenue'), orders: { $size: '$orders' } } }
+];
+
+// Sales split by a field such as delivery zone or payment method
+const salesByFieldPipeline = (match, key, label) => [
+  { $match: match },
+  { $group: { _id: key, label: { $last: label }, ...salesTotals } },
+  { $sort: { revenue: -1 } },
+  { $project: { _id: 0, key: '$_id', label: 1, ...salesFields } }
+];
+
+const salesByZonePipeline = (match) => salesByFieldPipeline(
+  match,
+  { $ifNull: ['$deliveryLocation.id', 'pickup'] },
+  { $ifNull: ['$deliveryLocation.name', 'Pickup'] }
+);
+
+const salesByPaymentMethodPipeline = (match) => salesByFieldPipeline(match, '$paymentMethod', '$paymentMethod');
+
+// Customers (by email) in the range and how many ordered more than once
+const repeatCustomersPipeline = (match) => [
+  { $match: match },
+  { $group: { _id: { $toLower: '$customer.email' }, orders: { $sum: 1 } } },
+  {
+    $group: {
+      _id: null,
+      customers: { $sum: 1 },
+      repeatCustomers: { $sum: { $cond: [{ $gt: ['$orders', 1] }, 1, 0] } },
+      orders: { $sum: '$orders' }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      customers: 1,
+      repeatCustomers: 1,
+      repeatRate: { $round: [{ $cond: [{ $gt: ['$customers', 0] }, { $divide: ['$repeatCustomers', '$customers'] }, 0] }, 4] },
+      ordersPerCustomer: { $round: [{ $cond: [{ $gt: ['$customers', 0] }, { $divide: ['$orders', '$customers'] }, 0] }, 2] }
+    }
+  }
+];
+
+module.exports = {
+  INTERVALS,
+  dateRangeFilter,
+  reportMatch,
+  summaryPipeline,
+  salesByPeriodPipeline,
+  topProductsPipeline,
+  salesByZonePipeline,
+  salesByPaymentMethodPipeline,
+  repeatCustomersPipeline,
+};
@@ -0,0 +1,115 @@
+const config = require('../config');
+const { localTime, isWithinWindow } = require('./availability');
+const { storeDay } = require('./orderNumbers');
+const { Counter } = require('../models');
+const { httpError } = require('./httpError');
+
+// Pre-orders: a requested delivery/pickup time must fall in opening hours, far enough ahead for
+// the kitchen (leadMinutes) and in a slot that isn't full. Each slot's bookings are a counter
+// document ("slot:<start ISO>") bumped atomically, so concurrent checkouts can't overfill it.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Start of the slot `date` falls in (slots are aligned to the store's clock)
+const slotStart = (date) => {
+  const { slotMinutes } = config.scheduling;
+  const intoSlot = (localTime(date).minutes % slotMinutes) * MINUTE + (date.getTime() % MINUTE);
+  return new Date(date.getTime() - intoSlot);
+};
+
+const slotKey = (start) => `slot:${start.toISOString()}`;
+
+const isOpenAt = (date) => config.scheduling.openingHours.some(window => isWithinWindow(window, date));
+
+// Minutes before the requested time that an order has to reach the kitchen
+const kitchenMinutes = (isDelivery) => {
+  const { confirmMinutes, prepMinutes, deliveryMinutes } = config.orderEta;
+  return confirmMinutes + prepMinutes + (isDelivery ? deliveryMinutes : 0);
+};
+
+// Check a requested time. Returns { requestedAt, releaseAt } - releaseAt is when the order
+// should go to the kitchen queue. Throws an httpError when the time can't be booked.
+const checkRequestedTime = (requestedAt, { isDelivery = false, now = new Date() } = {}) => {
+  const { leadMinutes, maxDaysAhead } = config.scheduling;
+
+  if (requestedAt.getTime() < now.getTime() + leadMinutes * MINUTE) {
+    throw httpError(400, `Scheduled orders need at least ${leadMinutes} minutes notice`, { code: 'TOO_SOON' });
+  }
+  if (requestedAt.getTime() > now.getTime() + maxDaysAhead * DAY) {
+    throw httpError(400, `Orders can be scheduled up to ${maxDaysAhead} days ahead`, { code: 'TOO_FAR_AHEAD' });
+  }
+  if (!isOpenAt(requestedAt)) {
+    throw httpError(400, "We're closed at the requested time", { code: 'STORE_CLOSED' });
+  }
+
+  return {
+    requestedAt,
+    releaseAt: new Date(requestedAt.getTime() - kitchenMinutes(isDelivery) * MINUTE)
+  };
+};
+
+// Book a place in the slot of `requestedAt`, or throw 409 when it's full
+const reserveSlot = async (requestedAt) => {
+  try {
+    await Counter.findOneAndUpdate(
+      { _id: slotKey(slotStart(requestedAt)), seq: { $lt: config.scheduling.slotCapacity } },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // No counter below capacity matched, so the upsert collided with the full one
+    if (error.code !== 11000) throw error;
+    throw httpError(409, 'That time slot is fully booked. Please pick another time.', { code: 'SLOT_FULL' });
+  }
+};
+
+const releaseSlot = (requestedAt) => Counter.updateOne(
+  { _id: slotKey(slotStart(requestedAt)), seq: { $gt: 0 } },
+  { $inc: { seq: -1 } }
+);
+
+// Give back the slot a cancelled order booked, if it was scheduled
+const releaseOrderSlot = async (order) => {
+  if (order.requestedAt) {
+    await releaseSlot(order.requestedAt);
+  }
+};
+
+// Bookable slots from leadMinutes from now up to maxDaysAhead, optionally for one store day
+// ("20261024"). Full slots are listed with available: false.
+const listSlots = async ({ day, now = new Date() } = {}) => {
+  const { slotMinutes, slotCapacity, leadMinutes, maxDaysAhead } = config.scheduling;
+
+  const earliest = new Date(now.getTime() + leadMinutes * MINUTE);
+  const latest = now.getTime() + maxDaysAhead * DAY;
+  let start = slotStart(earliest);
+  if (start < earliest) start = new Date(start.getTime() + slotMinutes * MINUTE);
+
+  const starts = [];
+  for (; start.getTime() <= latest; start = new Date(start.getTime() + slotMinutes * MINUTE)) {
+    if ((!day || storeDay(start) === day) && isOpenAt(start)) starts.push(start);
+  }
+
+  const counters = await Counter.find({ _id: { $in: starts.map(slotKey) } });
+  const booked = new Map(counters.map(counter => [counter._id, counter.seq]));
+
+  return starts.map(slot => {
+    const remaining = Math.max(0, slotCapacity - (booked.get(slotKey(slot)) || 0));
+    return {
+      start: slot,
+      end: new Date(slot.getTime() + slotMinutes * MINUTE),
+      remaining,
+      available: remaining > 0
+    };
+  });
+};
+
+module.exports = {
+  slotStart,
+  checkRequestedTime,
+  reserveSlot,
+  releaseSlot,
+  releaseOrderSlot,
+  listSlots,
+};
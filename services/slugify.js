@@ -0,0 +1,9 @@
+// "Grills & Suya " -> "grills-suya"
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = slugify;
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+// Declarative input checking shared by every route. A schema maps field names to rules,
+// e.g. { name: rules.string({ required: true }), price: rules.number({ min: 0 }) }.
+// Checking returns only the fields the schema lists - anything else in the input is dropped -
+// plus one { field, message } per problem. Values from query strings and multipart forms
+// arrive as strings, so numbers, booleans, arrays and objects are converted where needed.
+//
+// Options every rule takes:
+//   required  - missing (undefined, null or '') is an error
+//   nullable  - null or '' is kept as null instead of counting as missing
+//   default   - value (or function returning one) used when the field is missing
+//   label     - name used in messages (default: the field path)
+//   message   - replaces every message for this field
+// and string rules also take `empty: false` to reject '' even when not required.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const fail = (error) => ({ error });
+
+// Multipart forms can only send strings, so structured fields may arrive as JSON text
+const parseJsonText = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const rule = (type, options, parse) => ({ type, ...options, parse });
+
+const string = (options = {}) => rule('string', options, (raw, label, path, self) => {
+  if (typeof raw !== 'string' && typeof raw !== 'number') return fail(`${label} must be text`);
+  let value = String(raw);
+  if (options.trim !== false) value = value.trim();
+  if (options.lowercase) value = value.toLowerCase();
+
+  if (value === '' && self.required) return fail(`${label} is required`);
+  if (value === '' && options.empty === false) return fail(`${label} cannot be empty`);
+  if (options.min !== undefined && value.length < options.min) return fail(`${label} must be at least ${options.min} characters`);
+  if (options.max !== undefined && value.length > options.max) return fail(`${label} must be at most ${options.max} characters`);
+  if (options.email && !EMAIL_PATTERN.test(value)) return fail(`${label} must be a valid email`);
+  if (options.pattern && !options.pattern.test(value)) return fail(`${label} has an invalid format`);
+  return { value };
+});
+
+const number = (options = {}) => rule('number', options, (raw, label) => {
+  const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+  const kind = options.integer ? 'a whole number' : 'a number';
+  if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`${label} must be ${kind}`);
+  if (options.integer && !Number.isInteger(value)) return fail(`${label} must be ${kind}`);
+  if (options.positive && value <= 0) return fail(`${label} must be more than 0`);
+  if (options.min !== undefined && value < options.min) return fail(`${label} must be ${kind} of ${options.min} or more`);
+  if (options.max !== undefined && value > options.max) return fail(`${label} must be ${kind} of at most ${options.max}`);
+  return { value };
+});
+
+const boolean = (options = {}) => rule('boolean', options, (raw, label) => {
+  if (raw === true || raw === 'true') return { value: true };
+  if (raw === false || raw === 'false') return { value: false };
+  return fail(`${label} must be true or false`);
+});
+
+const oneOf = (values, options = {}) => rule('oneOf', options, (raw, label) => (
+  values.includes(raw) ? { value: raw } : fail(`${label} must be one of: ${values.join(', ')}`)
+));
+
+const objectId = (options = {}) => rule('objectId', options, (raw, label) => (
+  typeof raw === 'string' && mongoose.Types.ObjectId.isValid(raw) ? { value: raw } : fail(`${label} must be a valid ID`)
+));
+
+// An ISO-8601 date or timestamp ("2026-10-18", "2026-10-18T18:30:00+01:00") or a Date.
+// Numbers, booleans and other date formats are rejected rather than guessed at.
+const date = (options = {}) => rule('date', options, (raw, label) => {
+  if (!(raw instanceof Date) && !(typeof raw === 'string' && ISO_DATE_PATTERN.test(raw.trim()))) {
+    return fail(`${label} must be a valid date`);
+  }
+  const value = raw instanceof Date ? raw : new Date(raw.trim());
+  return isNaN(value.getTime()) ? fail(`${label} must be a valid date`) : { value };
+});
+
+// List of values checked by `itemRule`. With `split`, "a,b,c" is accepted too.
+const array = (itemRule, options = {}) => rule('array', options, (raw, label, path) => {
+  let list = raw;
+  if (typeof list === 'string') {
+    list = options.split ? list.split(',').map(item => item.trim()).filter(Boolean) : parseJsonText(list);
+  }
+  if (!Array.isArray(list)) return fail(`${label} must be a list`);
+  if (options.min !== undefined && list.length < options.min) {
+    return fail(options.min === 1 ? `${label} needs at least one item` : `${label} needs at least ${options.min} items`);
+  }
+  if (options.max !== undefined && list.length > options.max) return fail(`${label} can have at most ${options.max} items`);
+
+  const errors = [];
+  const value = [];
+  list.forEach((item, index) => {
+    const result = checkField(itemRule, item, `${path}[${index}]`);
+    if (result.errors) errors.push(...result.errors);
+    else value.push(result.value);
+  });
+  return errors.length > 0 ? { errors } : { value };
+});
+
+// Nested object with its own schema; keys outside it are dropped
+const object = (schema, options = {}) => rule('object', options, (raw, label, path) => {
+  const input = parseJsonText(raw);
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return fail(`${label} must be an object`);
+  const { value, errors } = checkSchema(schema, input, path);
+  return errors.length > 0 ? { errors } : { value };
+});
+
+// Hand-written check: fn(value, label) returns { value } or { error }
+const custom = (fn, options = {}) => rule('custom', options, (raw, label) => fn(raw, label));
+
+const rules = { string, number, boolean, oneOf, objectId, date, array, object, custom };
+
+// Returns { value } for a present field, {} for a missing optional one, or { errors }
+const checkField = (fieldRule, raw, path) => {
+  const label = fieldRule.label || path;
+  let value = raw;
+
+  if (value === null || (value === '' && fieldRule.type !== 'string') || (value === '' && fieldRule.nullable)) {
+    if (fieldRule.nullable) return { value: null };
+    value = undefined;
+  }
+
+  if (value === undefined) {
+    if (fieldRule.required) return { errors: [{ field: path, message: fieldRule.message || `${label} is required` }] };
+    if (fieldRule.default !== undefined) {
+      return { value: typeof fieldRule.default === 'function' ? fieldRule.default() : fieldRule.default };
+    }
+    return {};
+  }
+
+  const result = fieldRule.parse(value, label, path, fieldRule);
+  if (result.errors) return { errors: result.errors };
+  if (result.error) return { errors: [{ field: path, message: fieldRule.message || result.error }] };
+  return { value: result.value };
+};
+
+// Check `input` against `schema`. Returns { value, errors } - value holds only known, valid fields.
+const checkSchema = (schema, input, path = '') => {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([key, fieldRule]) => {
+    const result = checkField(fieldRule, source[key], path ? `${path}.${key}` : key);
+    if (result.errors) errors.push(...result.errors);
+    else if ('value' in result) value[key] = result.value;
+  });
+
+  return { value, errors };
+};
+
+// Same schema with nothing required and no defaults - for partial updates
+const partial = (schema) => Object.fromEntries(
+  Object.entries(schema).map(([key, fieldRule]) => [key, { ...fieldRule, required: false, default: undefined }])
+);
+
+module.exports = {
+  rules,
+  checkSchema,
+  partial,
+};
@@ -0,0 +1,238 @@
+const { api, auth, staffToken, createCustomer, createProduct, customerDetails, orderBody } = require('./helpers/fixtures');
+const { Order, Product, Refund } = require('../models');
+const payments = require('../services/payments');
+const { refundOrder } = require('../services/refunds');
+
+const placeOrder = (body) => api().post('/api/orders').send(body);
+const cancel = (orderId, body, token) => {
+  const req = api().post(`/api/orders/${orderId}/cancel`);
+  return (token ? req.set(auth(token)) : req).send(body);
+};
+
+// An order paid by card through the fake gateway
+const placePaidOrder = async (product, { refundStatus } = {}) => {
+  const reference = `ref-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const placed = await placeOrder(orderBody([{ product }], { paymentMethod: 'card', paymentReference: reference }));
+  payments.fake.createTransaction({ reference, amount: placed.body.order.total, refundStatus });
+  await api().post('/api/payments/verify').send({ reference });
+  return { orderId: placed.body.orderId, reference };
+};
+
+describe('POST /api/orders/:id/cancel', () => {
+  let product;
+  let orderId;
+
+  beforeEach(async () => {
+    product = await createProduct({ stock: 5 });
+    orderId = (await placeOrder(orderBody([{ product, quantity: 2 }]))).body.orderId;
+  });
+
+  it('lets a guest cancel with the order phone before preparation', async () => {
+    const res = await cancel(orderId, { phone: '+234 801 234 5678', reason: 'Ordered twice' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.order.status).toBe('cancelled');
+    expect(res.body.order.statusHistory[1]).toMatchObject({ by: { kind: 'guest' }, note: 'Ordered twice' });
+    expect(res.body.refund).toBeNull();
+    expect((await Product.findById(product._id)).stock).toBe(5);
+  });
+
+  it('matches signed-in customers by account', async () => {
+    const { token } = await createCustomer({ email: 'ada@example.com' });
+
+    const res = await cancel(orderId, {}, token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.order.statusHistory[1].by).toMatchObject({ kind: 'customer' });
+  });
+
+  it('hides the order from anyone else', async () => {
+    const { token } = await createCustomer({ email: 'bola@example.com' });
+
+    expect((await cancel(orderId, {})).status).toBe(404);
+    expect((await cancel(orderId, { email: 'bola@example.com' })).status).toBe(404);
+    expect((await cancel(orderId, { email: 'ada@example.com' }, token)).status).toBe(404);
+  });
+
+  it('stops customers once the kitchen has started', async () => {
+    const kitchen = await staffToken('kitchen');
+    for (const status of ['confirmed', 'preparing']) {
+      await api().patch(`/api/orders/${orderId}`).set(auth(kitchen)).send({ status });
+    }
+
+    const res = await cancel(orderId, { email: 'ada@example.com' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ message: 'Order can no longer be cancelled - it is preparing', currentStatus: 'preparing' });
+  });
+
+  it('lets staff cancel later on with a reason', async () => {
+    const kitchen = await staffToken('kitchen');
+    for (const status of ['confirmed', 'preparing', 'ready']) {
+      await api().patch(`/api/orders/${orderId}`).set(auth(kitchen)).send({ status });
+    }
+
+    const missing = await cancel(orderId, {}, kitchen);
+    expect(missing.status).toBe(400);
+
+    const res = await cancel(orderId, { reason: 'Rider unavailable' }, kitchen);
+    expect(res.status).toBe(200);
+    expect(res.body.order.statusHistory[4]).toMatchObject({ by: { kind: 'admin', role: 'kitchen' }, note: 'Rider unavailable' });
+  });
+
+  it('does not cancel twice', async () => {
+    await cancel(orderId, { email: 'ada@example.com' });
+
+    const again = await cancel(orderId, { email: 'ada@example.com' });
+
+    expect(again.status).toBe(409);
+    expect((await Product.findById(product._id)).stock).toBe(5);
+  });
+});
+
+describe('refunds', () => {
+  let product;
+
+  beforeEach(async () => {
+    product = await createProduct({ price: 2500 });
+  });
+
+  it('refunds a paid order in full when it is cancelled', async () => {
+    const { orderId, reference } = await placePaidOrder(product);
+
+    const res = await cancel(orderId, { email: 'ada@example.com', reason: 'Changed my mind' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.refund).toMatchObject({ amount: 2500, status: 'processed', paymentReference: reference, provider: 'fake' });
+    expect(res.body.order).toMatchObject({ status: 'refunded', refundStatus: 'refunded', refundedAmount: 2500 });
+  });
+
+  it('keeps the cancellation when the provider declines the refund', async () => {
+    const { orderId } = await placePaidOrder(product, { refundStatus: 'failed' });
+
+    const res = await cancel(orderId, { email: 'ada@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.refund.status).toBe('failed');
+    expect(res.body.order).toMatchObject({ status: 'cancelled', refundStatus: 'failed', refundedAmount: 0 });
+  });
+
+  it('lets the owner refund part of a delivered order', async () => {
+    const owner = await staffToken('owner');
+    const { orderId } = await placePaidOrder(product);
+    for (const status of ['confirmed', 'preparing', 'ready', 'delivered']) {
+      await api().patch(`/api/orders/${orderId}`).set(auth(owner)).send({ status });
+    }
+
+    const partial = await api().post(`/api/orders/${orderId}/refunds`).set(auth(owner)).send({ amount: 1000, reason: 'Missing drink' });
+    expect(partial.status).toBe(201);
+    expect(partial.body.order).toMatchObject({ status: 'delivered', refundStatus: 'partial', refundedAmount: 1000 });
+
+    const tooMuch = await api().post(`/api/orders/${orderId}/refunds`).set(auth(owner)).send({ amount: 2000, reason: 'Cold food' });
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.remaining).toBe(1500);
+
+    const rest = await api().post(`/api/orders/${orderId}/refunds`).set(auth(owner)).send({ reason: 'Cold food' });
+    expect(rest.status).toBe(201);
+    expect(rest.body.order).toMatchObject({ status: 'refunded', refundStatus: 'refunded', refundedAmount: 2500 });
+
+    const list = await api().get(`/api/orders/${orderId}/refunds`).set(auth(owner));
+    expect(list.body.refunds.map(refund => refund.amount)).toEqual([1500, 1000]);
+  });
+
+  it('checks what is left against the refunds made, not the order it was given', async () => {
+    const owner = await staffToken('owner');
+    const { orderId } = await placePaidOrder(product);
+    for (const status of ['confirmed', 'preparing', 'ready', 'delivered']) {
+      await api().patch(`/api/orders/${orderId}`).set(auth(owner)).send({ status });
+    }
+    const stale = await Order.findById(orderId);
+
+    await api().post(`/api/orders/${orderId}/refunds`).set(auth(owner)).send({ amount: 2000, reason: 'Cold food' });
+
+    await expect(refundOrder(stale, { reason: 'Again', actor: { kind: 'system' } })).rejects.toMatchObject({ status: 400, details: { remaining: 500 } });
+    expect((await Refund.find({ order: orderId })).map(refund => refund.amount)).toEqual([2000]);
+  });
+
+  it('refuses refunds for open, unpaid or cash orders', async () => {
+    const owner = await staffToken('owner');
+    const paid = await placePaidOrder(product);
+    const cash = (await placeOrder(orderBody([{ product }], { customer: customerDetails({ email: 'bola@example.com' }) }))).body.orderId;
+    await cancel(cash, { email: 'bola@example.com' });
+
+    const open = await api().post(`/api/orders/${paid.orderId}/refunds`).set(auth(owner)).send({ reason: 'Test' });
+    expect(open.status).toBe(409);
+    expect(open.body.message).toBe('Cancel the order before refunding it');
+
+    const offline = await api().post(`/api/orders/${cash}/refunds`).set(auth(owner)).send({ reason: 'Test' });
+    expect(offline.status).toBe(409);
+
+    expect(await Refund.countDocuments()).toBe(0);
+  });
+
+  it('is for owners only', async () => {
+    const kitchen = await staffToken('kitchen');
+    const { orderId } = await placePaidOrder(product);
+
+    const res = await api().post(`/api/orders/${orderId}/refunds`).set(auth(kitchen)).send({ reason: 'Test' });
+
+    expect(res.status).toBe(403);
+  });
+
+  describe('when the provider answers pending', () => {
+    let orderId;
+    let refund;
+
+    beforeEach(async () => {
+      ({ orderId } = await placePaidOrder(product, { refundStatus: 'pending' }));
+      const res = await cancel(orderId, { email: 'ada@example.com' });
+      refund = res.body.refund;
+    });
+
+    const sendRefundWebhook = (body) => {
+      const raw = JSON.stringify({ type: 'refund', ...body });
+      return api().post('/api/payments/webhook/fake')
+        .set('Content-Type', 'application/json')
+        .set('x-fake-signature', payments.fake.signWebhook(raw))
+        .send(raw);
+    };
+
+    it('holds the order as pending and blocks another refund', async () => {
+      const owner = await staffToken('owner');
+
+      expect(refund.status).toBe('pending');
+      expect(await Order.findById(orderId)).toMatchObject({ status: 'cancelled', refundStatus: 'pending' });
+
+      const again = await api().post(`/api/orders/${orderId}/refunds`).set(auth(owner)).send({ reason: 'Retry' });
+      expect(again.status).toBe(409);
+    });
+
+    it('settles it from the refund webhook', async () => {
+      payments.fake.settleRefund(refund.providerRefundId, 'processed');
+
+      const res = await sendRefundWebhook({ refundId: refund.providerRefundId, status: 'processed' });
+      expect(res.status).toBe(200);
+      expect(await Order.findById(orderId)).toMatchObject({ status: 'refunded', refundStatus: 'refunded', refundedAmount: 2500 });
+
+      const repeat = await sendRefundWebhook({ refundId: refund.providerRefundId, status: 'failed' });
+      expect(repeat.status).toBe(200);
+      expect((await Refund.findById(refund._id)).status).toBe('processed');
+    });
+
+    it('lets the owner re-check it with the provider', async () => {
+      const owner = await staffToken('owner');
+      const check = () => api().post(`/api/orders/${orderId}/refunds/${refund._id}/check`).set(auth(owner));
+
+      const stillPending = await check();
+      expect(stillPending.status).toBe(200);
+      expect(stillPending.body.refund.status).toBe('pending');
+
+      payments.fake.settleRefund(refund.providerRefundId, 'processed');
+      const settled = await check();
+      expect(settled.body.refund.status).toBe('processed');
+      expect(settled.body.order).toMatchObject({ status: 'refunded', refundStatus: 'refunded' });
+
+      expect((await check()).status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { api, auth, staffToken, createProduct, orderBody } = require('./helpers/fixtures');
+const { Coupon } = require('../models');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('POST /api/coupons/validate', () => {
+  let product;
+
+  beforeEach(async () => {
+    product = await createProduct({ price: 2000 });
+  });
+
+  const check = (code, fields = {}) => api().post('/api/coupons/validate').send({
+    code,
+    items: [{ id: String(product._id), quantity: 1 }],
+    ...fields
+  });
+
+  it('quotes the discount without redeeming the code', async () => {
+    await Coupon.create({ code: 'SUYA10', type: 'percentage', value: 10, usageLimit: 1 });
+
+    const res = await check(' suya10 ');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ subtotal: 2000, discount: 200, deliveryFee: 0, total: 1800, coupon: { code: 'SUYA10', type: 'percentage', value: 10 } });
+    expect((await Coupon.findOne({ code: 'SUYA10' })).usageCount).toBe(0);
+  });
+
+  it('rejects unknown, expired and not-yet-active codes', async () => {
+    await Coupon.create({ code: 'OLD', type: 'fixed', value: 500, expiresAt: new Date(Date.now() - DAY) });
+    await Coupon.create({ code: 'SOON', type: 'fixed', value: 500, startsAt: new Date(Date.now() + DAY) });
+
+    const messages = [];
+    for (const code of ['NOPE', 'OLD', 'SOON']) {
+      const res = await check(code);
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_COUPON');
+      messages.push(res.body.message);
+    }
+
+    expect(messages).toEqual(['This promo code is not valid', 'This promo code has expired', 'This promo code is not active yet']);
+  });
+
+  it('checks the minimum order', async () => {
+    await Coupon.create({ code: 'BIG', type: 'fixed', value: 500, minSubtotal: 5000 });
+
+    const res = await check('BIG');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Spend at least ₦5000 to use this promo code');
+  });
+
+  it('checks the per-customer limit against redeemed orders', async () => {
+    await Coupon.create({ code: 'ONCE', type: 'fixed', value: 500, perCustomerLimit: 1 });
+
+    expect((await check('ONCE')).body.message).toBe('Customer email is required to use this promo code');
+    expect((await check('ONCE', { email: 'ada@example.com' })).status).toBe(200);
+
+    const order = await api().post('/api/orders').send(orderBody([{ product }], { couponCode: 'ONCE' }));
+    expect(order.status).toBe(201);
+
+    const used = await check('ONCE', { email: 'ADA@example.com' });
+    expect(used.status).toBe(400);
+    expect(used.body.message).toBe("You've already used this promo code");
+
+    expect((await check('ONCE', { email: 'bola@example.com' })).status).toBe(200);
+  });
+});
+
+describe('coupon admin routes', () => {
+  let owner;
+
+  beforeEach(async () => {
+    owner = await staffToken('owner');
+  });
+
+  it('requires an owner', async () => {
+    expect((await api().get('/api/coupons')).status).toBe(401);
+
+    const kitchen = await staffToken('kitchen');
+    expect((await api().post('/api/coupons').set(auth(kitchen)).send({ code: 'X', type: 'fixed', value: 1 })).status).toBe(403);
+  });
+
+  it('creates, lists, updates and deletes coupons', async () => {
+    const created = await api().post('/api/coupons').set(auth(owner)).send({ code: ' suya10 ', type: 'percentage', value: 10 });
+    expect(created.status).toBe(201);
+    expect(created.body.coupon).toMatchObject({ code: 'SUYA10', usageCount: 0, active: true });
+    const id = created.body.coupon._id;
+
+    const duplicate = await api().post('/api/coupons').set(auth(owner)).send({ code: 'SUYA10', type: 'fixed', value: 500 });
+    expect(duplicate.status).toBe(409);
+
+    const updated = await api().put(`/api/coupons/${id}`).set(auth(owner)).send({ value: 15, usageCount: 99 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.coupon).toMatchObject({ value: 15, usageCount: 0 });
+
+    const listed = await api().get('/api/coupons').set(auth(owner));
+    expect(listed.body.map(coupon => coupon.code)).toEqual(['SUYA10']);
+
+    expect((await api().delete(`/api/coupons/${id}`).set(auth(owner))).status).toBe(200);
+    expect((await api().delete(`/api/coupons/${id}`).set(auth(owner))).status).toBe(404);
+  });
+
+  it('validates coupons', async () => {
+    const tooMuch = await api().post('/api/coupons').set(auth(owner)).send({ code: 'HALF', type: 'percentage', value: 150 });
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.message).toBe('A percentage coupon can be at most 100');
+
+    const missing = await api().post('/api/coupons').set(auth(owner)).send({ type: 'free' });
+    expect(missing.status).toBe(400);
+    expect(missing.body.errors.map(error => error.field)).toEqual(['code', 'type', 'value']);
+  });
+});
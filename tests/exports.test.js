@@ -0,0 +1,51 @@
+const { api, auth, staffToken, createOrder } = require('./helpers/fixtures');
+
+// Rows of a CSV download, without the byte-order mark
+const csvLines = (res) => res.text.replace(/^\uFEFF/, '').split('\r\n').filter(Boolean);
+
+describe('GET /api/exports/:dataset', () => {
+  let owner;
+
+  beforeEach(async () => {
+    owner = await staffToken('owner');
+    await createOrder({ createdAt: '2026-10-05T10:00:00+01:00', orderNumber: 'OBG-20261005-0001', status: 'delivered', total: 3000 });
+    await createOrder({ createdAt: '2026-10-07T18:00:00+01:00', orderNumber: 'OBG-20261007-0001', status: 'cancelled', total: 2000 });
+    await createOrder({ createdAt: '2026-10-20T12:00:00+01:00', orderNumber: 'OBG-20261020-0001', status: 'delivered', total: 4000 });
+  });
+
+  const download = (query) => api().get(`/api/exports/orders?${query}`).set(auth(owner));
+
+  it('writes the chosen columns for orders in the range', async () => {
+    const res = await download('columns=orderNumber,status,total&from=2026-10-05&to=2026-10-10');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="obiggrills-orders-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(csvLines(res)).toEqual([
+      'Order Number,Status,Total',
+      'OBG-20261005-0001,delivered,3000',
+      'OBG-20261007-0001,cancelled,2000'
+    ]);
+  });
+
+  it('filters by status', async () => {
+    const res = await download('columns=orderNumber&status=delivered');
+
+    expect(csvLines(res)).toEqual(['Order Number', 'OBG-20261005-0001', 'OBG-20261020-0001']);
+  });
+
+  it('rejects unknown columns and bad dates', async () => {
+    const columns = await download('columns=orderNumber,secret');
+    expect(columns.status).toBe(400);
+    expect(columns.body.message).toMatch(/^Unknown columns: secret\. Available: orderId,/);
+
+    const range = await download('from=last-week');
+    expect(range.status).toBe(400);
+  });
+
+  it('is for owners only', async () => {
+    const kitchen = await staffToken('kitchen');
+
+    expect((await api().get('/api/exports/orders').set(auth(kitchen))).status).toBe(403);
+  });
+});
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const models = require('../../models');
+
+let mongod = null;
+
+// Start a throwaway mongod for this test file and build the models' indexes
+const connect = async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  await Promise.all(Object.values(models).map(model => model.init()));
+};
+
+const clear = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+  mongod = null;
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect,
+};
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const { createApp } = require('../../app');
+const { signToken } = require('../../services/auth');
+const { Admin, User, Category, Product, DeliveryZone, Order } = require('../../models');
+
+const app = createApp();
+const api = () => request(app);
+
+let sequence = 0;
+const next = () => ++sequence;
+
+const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+// A staff account of the given role, plus a token for it
+const createStaff = async (role = 'owner') => {
+  const admin = await Admin.create({
+    name: `Test ${role}`,
+    email: `${role}-${next()}@staff.test`,
+    passwordHash: 'not-used',
+    role
+  });
+  return { admin, token: signToken({ sub: String(admin._id), kind: 'admin', role }) };
+};
+
+const staffToken = async (role = 'owner') => (await createStaff(role)).token;
+
+// A signed-in customer, plus a token for it
+const createCustomer = async (fields = {}) => {
+  const user = await User.create({ email: `customer-${next()}@example.com`, name: 'Ada Obi', ...fields });
+  return { user, token: signToken({ sub: String(user._id), kind: 'customer' }) };
+};
+
+const createCategory = (fields = {}) => Category.create({ name: `Grills ${next()}`, ...fields });
+
+const createProduct = async (fields = {}) => Product.create({
+  name: `Chicken Suya ${next()}`,
+  description: 'Spicy grilled chicken',
+  price: 2500,
+  category: fields.category || (await createCategory())._id,
+  ...fields
+});
+
+const createZone = (fields = {}) => DeliveryZone.create({ name: `Lekki ${next()}`, fee: 1000, ...fields });
+
+const customerDetails = (fields = {}) => ({
+  name: 'Ada Obi',
+  address: '12 Admiralty Way, Lekki',
+  phone: '08012345678',
+  email: 'ada@example.com',
+  ...fields
+});
+
+// Body for POST /api/orders
+const orderBody = (items, fields = {}) => ({
+  customer: customerDetails(),
+  items: items.map(({ product, quantity = 1, options }) => ({ id: String(product._id), quantity, options })),
+  paymentMethod: 'cash',
+  ...fields
+});
+
+// An order saved straight to the database (no stock, coupon or numbering), optionally
+// backdated to `createdAt` - for reports and exports
+const createOrder = async ({ createdAt, total = 2500, ...fields } = {}) => {
+  const order = await Order.create({
+    customer: customerDetails(),
+    items: [{ id: 'suya', name: 'Chicken Suya', price: total, quantity: 1, lineTotal: total }],
+    subtotal: total,
+    total,
+    paymentMethod: 'cash',
+    ...fields
+  });
+  if (createdAt) {
+    order.createdAt = new Date(createdAt);
+    await Order.collection.updateOne({ _id: order._id }, { $set: { createdAt: order.createdAt } });
+  }
+  return order;
+};
+
+// Retry `check` until it passes or the time runs out - for work done after the response
+const eventually = async (check, timeoutMs = 2000) => {
+  const started = Date.now();
+  for (;;) {
+    try {
+      return await check();
+    } catch (error) {
+      if (Date.now() - started > timeoutMs) throw error;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+};
+
+module.exports = {
+  app,
+  api,
+  auth,
+  createStaff,
+  staffToken,
+  createCustomer,
+  createCategory,
+  createProduct,
+  createZone,
+  customerDetails,
+  orderBody,
+  createOrder,
+  eventually,
+};
@@ -0,0 +1,525 @@
+const http = require('http');
+const { app, api, auth, staffToken, createProduct, createZone, customerDetails, orderBody, eventually } = require('./helpers/fixtures');
+const { Coupon, Counter, Order, Product } = require('../models');
+const { nextOrderNumber, storeDay } = require('../services/orderNumbers');
+
+const placeOrder = (body) => api().post('/api/orders').send(body);
+
+describe('POST /api/orders', () => {
+  it('prices the order from the catalog', async () => {
+    const product = await createProduct({ price: 2500 });
+    const zone = await createZone({ fee: 1000 });
+
+    const res = await placeOrder(orderBody([{ product, quantity: 2 }], { deliveryZoneId: String(zone._id), total: 6000 }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.order).toMatchObject({
+      subtotal: 5000,
+      deliveryFee: 1000,
+      total: 6000,
+      status: 'received',
+      paymentStatus: 'pending',
+      deliveryLocation: { id: String(zone._id), fee: 1000 }
+    });
+    expect(res.body.order.items[0]).toMatchObject({ price: 2500, quantity: 2, lineTotal: 5000 });
+  });
+
+  it('never prices a line below zero', async () => {
+    const product = await createProduct({
+      price: 2500,
+      optionGroups: [{ name: 'Deal', kind: 'modifier', minSelections: 0, maxSelections: 1, options: [{ name: 'Voucher', priceDelta: -3000 }] }]
+    });
+
+    const res = await placeOrder(orderBody([{ product, options: [{ group: 'Deal', option: 'Voucher' }] }]));
+
+    expect(res.status).toBe(201);
+    expect(res.body.order.items[0]).toMatchObject({ price: 0, lineTotal: 0 });
+    expect(res.body.order.total).toBe(0);
+  });
+
+  it('ignores client prices and rejects a stale total', async () => {
+    const product = await createProduct({ price: 2500 });
+    const body = orderBody([{ product }], { total: 100 });
+    body.items[0].price = 1;
+
+    const res = await placeOrder(body);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('PRICE_MISMATCH');
+    expect(res.body.expected.total).toBe(2500);
+    expect(await Order.countDocuments()).toBe(0);
+  });
+
+  it('validates the request', async () => {
+    const res = await placeOrder({ customer: customerDetails({ email: 'nope' }), items: [] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['customer.email', 'items', 'paymentMethod']);
+  });
+
+  it('rejects unknown products and delivery zones', async () => {
+    const product = await createProduct();
+
+    const missing = await placeOrder(orderBody([{ product: { _id: '64b7f0c2a1b2c3d4e5f60718' } }]));
+    expect(missing.status).toBe(400);
+    expect(missing.body.missing).toEqual(['64b7f0c2a1b2c3d4e5f60718']);
+
+    const zone = await placeOrder(orderBody([{ product }], { deliveryZoneId: '64b7f0c2a1b2c3d4e5f60718' }));
+    expect(zone.status).toBe(400);
+  });
+
+  it('reserves tracked stock and refuses to oversell', async () => {
+    const product = await createProduct({ stock: 3 });
+
+    const first = await placeOrder(orderBody([{ product, quantity: 2 }]));
+    expect(first.status).toBe(201);
+    expect((await Product.findById(product._id)).stock).toBe(1);
+
+    const second = await placeOrder(orderBody([{ product, quantity: 2 }], { customer: customerDetails({ email: 'bola@example.com' }) }));
+    expect(second.status).toBe(409);
+    expect(second.body.code).toBe('ITEM_UNAVAILABLE');
+    expect(second.body.unavailable[0]).toMatchObject({ id: String(product._id), reason: 'insufficient_stock' });
+    expect((await Product.findById(product._id)).stock).toBe(1);
+  });
+
+  it('applies and redeems a coupon', async () => {
+    const product = await createProduct({ price: 2000 });
+    await Coupon.create({ code: 'SUYA10', type: 'percentage', value: 10, usageLimit: 1 });
+
+    const res = await placeOrder(orderBody([{ product }], { couponCode: 'suya10', total: 1800 }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.order.discount).toBe(200);
+    expect(res.body.order.coupon).toMatchObject({ code: 'SUYA10', redeemed: true });
+
+    const again = await placeOrder(orderBody([{ product }], { couponCode: 'SUYA10', customer: customerDetails({ email: 'bola@example.com' }) }));
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe('INVALID_COUPON');
+  });
+
+  it('rejects the same order placed twice in a row', async () => {
+    const product = await createProduct();
+    const other = await createProduct();
+
+    expect((await placeOrder(orderBody([{ product }, { product: other, quantity: 2 }]))).status).toBe(201);
+
+    const repeat = await placeOrder(orderBody([{ product: other, quantity: 2 }, { product }]));
+    expect(repeat.status).toBe(409);
+    expect(repeat.body.code).toBe('DUPLICATE_ORDER');
+
+    const changed = await placeOrder(orderBody([{ product }]));
+    expect(changed.status).toBe(201);
+  });
+
+  it('allows the same order again once the first is cancelled', async () => {
+    const product = await createProduct();
+    const kitchen = await staffToken('kitchen');
+
+    const first = await placeOrder(orderBody([{ product }]));
+    await api().patch(`/api/orders/${first.body.orderId}`).set(auth(kitchen)).send({ status: 'cancelled', note: 'Customer called' });
+
+    expect((await placeOrder(orderBody([{ product }]))).status).toBe(201);
+  });
+
+  it('limits orders per customer email', async () => {
+    const products = await Promise.all([1, 2, 3, 4, 5, 6].map(() => createProduct()));
+
+    for (const product of products.slice(0, 5)) {
+      expect((await placeOrder(orderBody([{ product }]))).status).toBe(201);
+    }
+    const limited = await placeOrder(orderBody([{ product: products[5] }]));
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.code).toBe('RATE_LIMITED');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+    const otherCustomer = await placeOrder(orderBody([{ product: products[5] }], { customer: customerDetails({ email: 'bola@example.com' }) }));
+    expect(otherCustomer.status).toBe(201);
+  });
+
+  it('emails the customer and logs the delivery', async () => {
+    const product = await createProduct();
+    const owner = await staffToken('owner');
+
+    const res = await placeOrder(orderBody([{ product }]));
+
+    await eventually(async () => {
+      const log = await api().get(`/api/orders/${res.body.orderId}/notifications`).set(auth(owner));
+      expect(log.body.notifications).toEqual([
+        expect.objectContaining({ event: 'received', audience: 'customer', channel: 'email', to: 'ada@example.com', status: 'sent' })
+      ]);
+    });
+    expect(global.sentMail[0].subject).toMatch(/^We got your order/);
+  });
+});
+
+describe('POST /api/orders with an idempotency key', () => {
+  let product;
+
+  beforeEach(async () => {
+    product = await createProduct({ stock: 5 });
+  });
+
+  const placeWithKey = (key, body) => api().post('/api/orders').set('Idempotency-Key', key).send(body);
+
+  it('returns the first order to a retry', async () => {
+    const first = await placeWithKey('checkout-1', orderBody([{ product }]));
+    const retry = await placeWithKey('checkout-1', orderBody([{ product }]));
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.orderId).toBe(first.body.orderId);
+    expect(await Order.countDocuments()).toBe(1);
+    expect((await Product.findById(product._id)).stock).toBe(4);
+  });
+
+  it('uses orderReference when there is no header', async () => {
+    const body = orderBody([{ product }], { orderReference: 'OBG-WEB-123' });
+
+    const first = await placeOrder(body);
+    const retry = await placeOrder(body);
+
+    expect(retry.body.orderId).toBe(first.body.orderId);
+    expect(await Order.countDocuments()).toBe(1);
+  });
+
+  it('rejects a key reused for a different order', async () => {
+    await placeWithKey('checkout-1', orderBody([{ product }]));
+
+    const res = await placeWithKey('checkout-1', orderBody([{ product, quantity: 2 }]));
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(await Order.countDocuments()).toBe(1);
+  });
+
+  it('frees the key when the order fails', async () => {
+    const stale = await placeWithKey('checkout-1', orderBody([{ product }], { total: 1 }));
+    expect(stale.status).toBe(409);
+
+    const fixed = await placeWithKey('checkout-1', orderBody([{ product }], { total: 2500 }));
+    expect(fixed.status).toBe(201);
+    expect(fixed.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('rejects an overlong key', async () => {
+    const res = await placeWithKey('k'.repeat(256), orderBody([{ product }]));
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PATCH /api/orders/:id', () => {
+  let orderId;
+  let product;
+
+  beforeEach(async () => {
+    product = await createProduct({ stock: 5 });
+    orderId = (await placeOrder(orderBody([{ product, quantity: 2 }]))).body.orderId;
+  });
+
+  const setStatus = (token, status, note) => api().patch(`/api/orders/${orderId}`).set(auth(token)).send({ status, note });
+
+  it('walks an order through the lifecycle', async () => {
+    const kitchen = await staffToken('kitchen');
+    const rider = await staffToken('rider');
+
+    for (const status of ['confirmed', 'preparing', 'ready']) {
+      expect((await setStatus(kitchen, status)).status).toBe(200);
+    }
+    expect((await setStatus(rider, 'out_for_delivery')).status).toBe(200);
+    const delivered = await setStatus(rider, 'delivered');
+
+    expect(delivered.status).toBe(200);
+    expect(delivered.body.order.statusHistory.map(entry => entry.status))
+      .toEqual(['received', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered']);
+    expect(delivered.body.order.statusHistory[5].by).toMatchObject({ kind: 'admin', role: 'rider' });
+  });
+
+  it('checks the role needed for the new status', async () => {
+    const rider = await staffToken('rider');
+
+    const res = await setStatus(rider, 'confirmed');
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Requires kitchen access to mark an order confirmed');
+  });
+
+  it('rejects illegal jumps and unknown statuses', async () => {
+    const owner = await staffToken('owner');
+
+    const jump = await setStatus(owner, 'delivered');
+    expect(jump.status).toBe(409);
+    expect(jump.body.currentStatus).toBe('received');
+
+    const unknown = await setStatus(owner, 'lost');
+    expect(unknown.status).toBe(400);
+  });
+
+  it('needs a reason to cancel', async () => {
+    const kitchen = await staffToken('kitchen');
+
+    const res = await setStatus(kitchen, 'cancelled');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('A reason is required to cancel an order');
+  });
+
+  it('leaves refunds to the refunds endpoint', async () => {
+    const owner = await staffToken('owner');
+    await setStatus(owner, 'cancelled', 'Customer called');
+
+    const res = await setStatus(owner, 'refunded');
+
+    expect(res.status).toBe(400);
+    expect((await Order.findById(orderId)).status).toBe('cancelled');
+  });
+
+  it('puts stock back when an order is cancelled', async () => {
+    const kitchen = await staffToken('kitchen');
+    expect((await Product.findById(product._id)).stock).toBe(3);
+
+    const res = await setStatus(kitchen, 'cancelled', 'Customer called');
+
+    expect(res.status).toBe(200);
+    expect((await Product.findById(product._id)).stock).toBe(5);
+  });
+});
+
+describe('GET /api/orders', () => {
+  beforeEach(async () => {
+    const product = await createProduct();
+    await placeOrder(orderBody([{ product }]));
+    await placeOrder(orderBody([{ product }], { customer: customerDetails({ email: 'bola@example.com' }) }));
+  });
+
+  it('requires staff', async () => {
+    expect((await api().get('/api/orders')).status).toBe(401);
+  });
+
+  it('filters by email and status', async () => {
+    const rider = await staffToken('rider');
+
+    const all = await api().get('/api/orders').set(auth(rider));
+    expect(all.body).toHaveLength(2);
+
+    const byEmail = await api().get('/api/orders?email=BOLA@example.com').set(auth(rider));
+    expect(byEmail.body.map(order => order.customer.email)).toEqual(['bola@example.com']);
+
+    const byStatus = await api().get('/api/orders?status=confirmed,delivered').set(auth(rider));
+    expect(byStatus.body).toEqual([]);
+  });
+});
+
+describe('delivery zone routes', () => {
+  let owner;
+
+  beforeEach(async () => {
+    owner = await staffToken('owner');
+  });
+
+  const create = (body) => api().post('/api/delivery-zones').set(auth(owner)).send(body);
+
+  it('requires an owner to make changes', async () => {
+    expect((await api().post('/api/delivery-zones').send({ name: 'Lekki', fee: 1000 })).status).toBe(401);
+
+    const kitchen = await staffToken('kitchen');
+    expect((await api().post('/api/delivery-zones').set(auth(kitchen)).send({ name: 'Lekki', fee: 1000 })).status).toBe(403);
+  });
+
+  it('creates, updates and deletes zones', async () => {
+    const lekki = await create({ name: 'Lekki', fee: 1000 });
+    expect(lekki.status).toBe(201);
+    expect(lekki.body.zone).toMatchObject({ name: 'Lekki', slug: 'lekki', fee: 1000, displayOrder: 0 });
+    expect((await create({ name: 'Victoria Island', fee: 1500 })).body.zone.displayOrder).toBe(1);
+    expect((await create({ name: 'lekki', fee: 900 })).status).toBe(409);
+
+    const id = lekki.body.zone._id;
+    const updated = await api().put(`/api/delivery-zones/${id}`).set(auth(owner)).send({ fee: 1200, active: false });
+    expect(updated.status).toBe(200);
+    expect(updated.body.zone).toMatchObject({ fee: 1200, active: false });
+
+    const listed = await api().get('/api/delivery-zones');
+    expect(listed.body.map(zone => zone.name)).toEqual(['Victoria Island']);
+
+    expect((await api().delete(`/api/delivery-zones/${id}`).set(auth(owner))).status).toBe(200);
+    expect((await api().delete(`/api/delivery-zones/${id}`).set(auth(owner))).status).toBe(404);
+  });
+
+  it('validates zones', async () => {
+    const res = await create({ name: 'Ikoyi', fee: -500 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['fee']);
+  });
+
+  it('prices delivery from the zone rules', async () => {
+    const product = await createProduct({ price: 2500 });
+    const zone = (await create({ name: 'Ajah', fee: 1000, minimumOrder: 3000, freeDeliveryThreshold: 5000 })).body.zone;
+    const order = (quantity, email) => placeOrder(orderBody([{ product, quantity }], {
+      deliveryZoneId: zone._id,
+      customer: customerDetails({ email })
+    }));
+
+    const tooSmall = await order(1, 'ada@example.com');
+    expect(tooSmall.status).toBe(400);
+    expect(tooSmall.body.minimumOrder).toBe(3000);
+
+    expect((await order(2, 'bola@example.com')).body.order.deliveryFee).toBe(0);
+    await api().put(`/api/delivery-zones/${zone._id}`).set(auth(owner)).send({ freeDeliveryThreshold: null });
+    expect((await order(2, 'chidi@example.com')).body.order.deliveryFee).toBe(1000);
+  });
+});
+
+describe('order numbers', () => {
+  it('numbers orders sequentially per store day', async () => {
+    const first = await placeOrder(orderBody([{ product: await createProduct() }]));
+    const second = await placeOrder(orderBody([{ product: await createProduct() }]));
+
+    const today = storeDay(new Date());
+    expect(first.body.order.orderNumber).toBe(`OBG-${today}-0001`);
+    expect(second.body.order.orderNumber).toBe(`OBG-${today}-0002`);
+  });
+
+  it('holds no stock when a number cannot be allocated', async () => {
+    const product = await createProduct({ stock: 5 });
+    const counter = jest.spyOn(Counter, 'findOneAndUpdate').mockRejectedValueOnce(new Error('counter unavailable'));
+
+    const res = await placeOrder(orderBody([{ product }]));
+    counter.mockRestore();
+
+    expect(res.status).toBe(500);
+    expect((await Product.findById(product._id)).stock).toBe(5);
+  });
+
+  it('starts each day from one', async () => {
+    expect(await nextOrderNumber(new Date('2026-10-18T10:00:00Z'))).toBe('OBG-20261018-0001');
+    expect(await nextOrderNumber(new Date('2026-10-18T22:59:00Z'))).toBe('OBG-20261018-0002');
+    expect(await nextOrderNumber(new Date('2026-10-18T23:30:00Z'))).toBe('OBG-20261019-0001');
+  });
+});
+
+describe('GET /api/orders/track/:orderNumber', () => {
+  let orderNumber;
+
+  beforeEach(async () => {
+    const zone = await createZone();
+    const res = await placeOrder(orderBody([{ product: await createProduct() }], { deliveryZoneId: String(zone._id) }));
+    orderNumber = res.body.order.orderNumber;
+  });
+
+  it('shows progress and an ETA to the customer', async () => {
+    const res = await api().get(`/api/orders/track/${orderNumber.toLowerCase()}?phone=2348012345678`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.order).toEqual({
+      orderNumber,
+      status: 'received',
+      fulfilment: 'delivery',
+      placedAt: expect.any(String),
+      requestedAt: null,
+      updatedAt: expect.any(String),
+      estimatedAt: expect.any(String),
+      refundStatus: 'none',
+      history: [{ status: 'received', at: expect.any(String) }]
+    });
+    const minutesAway = (new Date(res.body.order.estimatedAt) - Date.now()) / 60000;
+    expect(minutesAway).toBeGreaterThan(60);
+    expect(minutesAway).toBeLessThanOrEqual(65);
+  });
+
+  it('hides the order without a matching email or phone', async () => {
+    const missing = await api().get(`/api/orders/track/${orderNumber}`);
+    expect(missing.status).toBe(400);
+
+    const wrong = await api().get(`/api/orders/track/${orderNumber}?email=bola@example.com`);
+    expect(wrong.status).toBe(404);
+    expect(wrong.body).toEqual({ success: false, message: 'Order not found' });
+
+    const unknown = await api().get('/api/orders/track/OBG-20200101-0001?email=ada@example.com');
+    expect(unknown.status).toBe(404);
+
+    const malformed = await api().get('/api/orders/track/12345?email=ada@example.com');
+    expect(malformed.status).toBe(400);
+  });
+
+  it('drops the ETA once the order is finished', async () => {
+    const kitchen = await staffToken('kitchen');
+    const order = await Order.findOne({ orderNumber });
+    await api().patch(`/api/orders/${order._id}`).set(auth(kitchen)).send({ status: 'cancelled', note: 'Out of stock' });
+
+    const res = await api().get(`/api/orders/track/${orderNumber}?email=ADA@example.com`);
+
+    expect(res.body.order.status).toBe('cancelled');
+    expect(res.body.order.estimatedAt).toBeNull();
+  });
+});
+
+describe('GET /api/orders/:id/events', () => {
+  it('hides orders from other customers', async () => {
+    const product = await createProduct();
+    const { orderId } = (await placeOrder(orderBody([{ product }]))).body;
+
+    const res = await api().get(`/api/orders/${orderId}/events?email=bola@example.com`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/orders/events', () => {
+  let server;
+
+  beforeAll(done => { server = app.listen(0, done); });
+  afterAll(done => server.close(done));
+
+  // Event streams never end, so read them over a real socket and close them by hand.
+  const openStream = path => new Promise((resolve, reject) => {
+    const req = http.get({ port: server.address().port, path }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      resolve({
+        status: res.statusCode,
+        waitFor: pattern => eventually(() => expect(text).toMatch(pattern)),
+        close: () => req.destroy()
+      });
+    });
+    req.on('error', reject);
+  });
+
+  it('requires a staff token', async () => {
+    const anonymous = await api().get('/api/orders/events');
+    const forged = await api().get('/api/orders/events?token=not-a-token');
+
+    expect(anonymous.status).toBe(401);
+    expect(forged.status).toBe(401);
+  });
+
+  it('prefers the header over a query token', async () => {
+    const kitchen = await staffToken('kitchen');
+
+    const res = await api().get(`/api/orders/events?token=${kitchen}`).set('Authorization', 'Bearer not-a-token');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('streams new orders and status changes to staff', async () => {
+    const kitchen = await staffToken('kitchen');
+    const stream = await openStream(`/api/orders/events?token=${kitchen}`);
+
+    try {
+      expect(stream.status).toBe(200);
+      await stream.waitFor(/^retry: 3000\n\n/);
+
+      const product = await createProduct();
+      const { orderId } = (await placeOrder(orderBody([{ product }]))).body;
+      await api().patch(`/api/orders/${orderId}`).set(auth(kitchen)).send({ status: 'confirmed' });
+
+      await stream.waitFor(new RegExp(`event: order\\.created\ndata: \\{"orderId":"${orderId}","status":"received"`));
+      await stream.waitFor(new RegExp(`event: order\\.status_changed\ndata: \\{"orderId":"${orderId}","status":"confirmed","previousStatus":"received"`));
+    } finally {
+      stream.close();
+    }
+  });
+});
@@ -0,0 +1,112 @@
+const { api, createProduct, orderBody } = require('./helpers/fixtures');
+const { Order } = require('../models');
+const payments = require('../services/payments');
+
+const placeOrder = (body) => api().post('/api/orders').send(body);
+
+// Run `check` with some environment variables changed, putting them back afterwards
+const withEnv = async (vars, check) => {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await check();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+};
+
+describe('fake gateway', () => {
+  it('is off unless asked for', () => withEnv({ NODE_ENV: 'development', PAYMENT_PROVIDER: 'paystack' }, async () => {
+    expect(payments.getProvider('fake')).toBeNull();
+    expect(payments.providerForMethod('fake')).toBe('paystack');
+
+    const charge = await api().post('/api/payments/fake/charge').send({ reference: 'ref-1', amount: 2500 });
+    expect(charge.status).toBe(404);
+  }));
+
+  it('is never picked by the customer', () => withEnv({ PAYMENT_PROVIDER: 'paystack' }, async () => {
+    const res = await placeOrder(orderBody([{ product: await createProduct() }], { paymentMethod: 'fake', paymentReference: 'ref-2' }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.order.payment.provider).toBe('paystack');
+  }));
+});
+
+describe('payment references', () => {
+  it('pay for one order only', async () => {
+    const product = await createProduct();
+    const first = await placeOrder(orderBody([{ product }], { paymentMethod: 'card', paymentReference: 'ref-7' }));
+    expect(first.status).toBe(201);
+
+    const reused = await placeOrder(orderBody([{ product, quantity: 2 }], { paymentMethod: 'card', paymentReference: 'ref-7' }));
+
+    expect(reused.status).toBe(409);
+    expect(reused.body.code).toBe('PAYMENT_REFERENCE_USED');
+    expect(await Order.countDocuments({ paymentReference: 'ref-7' })).toBe(1);
+  });
+});
+
+describe('POST /api/payments/webhook/:provider', () => {
+  const sendWebhook = (provider, body, signature) => {
+    const raw = JSON.stringify(body);
+    return api().post(`/api/payments/webhook/${provider}`)
+      .set('Content-Type', 'application/json')
+      .set('x-fake-signature', signature || payments.fake.signWebhook(raw))
+      .send(raw);
+  };
+
+  it('settles orders paid through the same gateway', async () => {
+    const placed = await placeOrder(orderBody([{ product: await createProduct() }], { paymentMethod: 'card', paymentReference: 'ref-3' }));
+
+    const res = await sendWebhook('fake', { reference: 'ref-3', status: 'success', amount: placed.body.order.total });
+
+    expect(res.status).toBe(200);
+    expect((await api().post('/api/payments/verify').send({ reference: 'ref-3' })).body.paymentStatus).toBe('paid');
+  });
+
+  it('rejects events for orders paid through another gateway', async () => {
+    await withEnv({ PAYMENT_PROVIDER: 'paystack' }, () => (
+      createProduct().then(product => placeOrder(orderBody([{ product }], { paymentMethod: 'card', paymentReference: 'ref-4' })))
+    ));
+
+    const res = await sendWebhook('fake', { reference: 'ref-4', status: 'success', amount: 2500 });
+
+    expect(res.status).toBe(400);
+    expect((await Order.findOne({ paymentReference: 'ref-4' })).paymentStatus).toBe('pending');
+  });
+
+  it('rejects events without a valid signature', async () => {
+    const res = await sendWebhook('fake', { reference: 'ref-5', status: 'success' }, 'not-a-signature');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/payments/verify', () => {
+  it('answers with the payment status only', async () => {
+    const placed = await placeOrder(orderBody([{ product: await createProduct() }], { paymentMethod: 'card', paymentReference: 'ref-6' }));
+    payments.fake.createTransaction({ reference: 'ref-6', amount: placed.body.order.total });
+
+    const res = await api().post('/api/payments/verify').send({ reference: 'ref-6' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      success: true,
+      message: 'Payment success',
+      paymentStatus: 'paid',
+      orderId: placed.body.orderId,
+      orderNumber: placed.body.order.orderNumber
+    });
+  });
+
+  it('limits lookups per IP', async () => {
+    for (let i = 0; i < 30; i += 1) {
+      expect((await api().post('/api/payments/verify').send({ reference: `guess-${i}` })).status).toBe(404);
+    }
+
+    expect((await api().post('/api/payments/verify').send({ reference: 'guess-30' })).status).toBe(429);
+  });
+});
@@ -0,0 +1,138 @@
+const { api, createProduct, createZone, customerDetails, orderBody, eventually } = require('./helpers/fixtures');
+const config = require('../config');
+const { Order, Product } = require('../models');
+const { storeDay } = require('../services/orderNumbers');
+const { releaseDueOrders } = require('../services/orderLifecycle');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const placeOrder = (body) => api().post('/api/orders').send(body);
+
+// Tomorrow at `time` in the store's timezone (Africa/Lagos, UTC+1)
+const tomorrow = storeDay(new Date(Date.now() + DAY)).replace(/(\d{4})(\d{2})(\d{2})/, '$1-$2-$3');
+const tomorrowAt = (time) => new Date(`${tomorrow}T${time}:00+01:00`);
+
+describe('GET /api/slots', () => {
+  it('lists slots within opening hours', async () => {
+    const res = await api().get(`/api/slots?date=${tomorrow}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.slots).toHaveLength(24);
+    expect(res.body.slots[0]).toEqual({
+      start: tomorrowAt('10:00').toISOString(),
+      end: tomorrowAt('10:30').toISOString(),
+      remaining: 5,
+      available: true
+    });
+    expect(res.body.slots[23].start).toBe(tomorrowAt('21:30').toISOString());
+  });
+
+  it('rejects a malformed date', async () => {
+    expect((await api().get('/api/slots?date=tomorrow')).status).toBe(400);
+  });
+});
+
+describe('POST /api/orders with requestedAt', () => {
+  it('books the slot and holds the order until its kitchen time', async () => {
+    const requestedAt = tomorrowAt('18:10');
+    const zone = await createZone();
+
+    const res = await placeOrder(orderBody([{ product: await createProduct() }], { requestedAt, deliveryZoneId: String(zone._id) }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.order).toMatchObject({
+      status: 'scheduled',
+      requestedAt: requestedAt.toISOString(),
+      releaseAt: tomorrowAt('17:05').toISOString() // confirm, prep and delivery time before
+    });
+    await eventually(() => expect(global.sentMail.map(mail => mail.subject)).toEqual([expect.stringMatching(/booked for/)]));
+
+    const slots = (await api().get(`/api/slots?date=${tomorrow}`)).body.slots;
+    expect(slots.find(slot => slot.start === tomorrowAt('18:00').toISOString()).remaining).toBe(4);
+  });
+
+  it('takes the same items for different times as separate orders', async () => {
+    const product = await createProduct({ stock: 5 });
+
+    const lunch = await placeOrder(orderBody([{ product }], { requestedAt: tomorrowAt('12:00') }));
+    const dinner = await placeOrder(orderBody([{ product }], { requestedAt: tomorrowAt('19:00') }));
+    expect(lunch.status).toBe(201);
+    expect(dinner.status).toBe(201);
+
+    const again = await placeOrder(orderBody([{ product }], { requestedAt: tomorrowAt('19:00') }));
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('DUPLICATE_ORDER');
+  });
+
+  it('only takes ISO dates for the requested time', async () => {
+    const product = await createProduct();
+
+    for (const requestedAt of [5, true, 'next friday']) {
+      const res = await placeOrder(orderBody([{ product }], { requestedAt }));
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([{ field: 'requestedAt', message: 'Requested time must be a valid date', in: 'body' }]);
+    }
+  });
+
+  it('rejects times outside opening hours, notice and booking window', async () => {
+    const product = await createProduct();
+    const order = (requestedAt) => placeOrder(orderBody([{ product }], { requestedAt }));
+
+    const closed = await order(tomorrowAt('03:00'));
+    expect(closed.status).toBe(400);
+    expect(closed.body.code).toBe('STORE_CLOSED');
+
+    const soon = await order(new Date(Date.now() + 10 * 60 * 1000));
+    expect(soon.body.code).toBe('TOO_SOON');
+
+    const far = await order(new Date(Date.now() + 10 * DAY));
+    expect(far.body.code).toBe('TOO_FAR_AHEAD');
+
+    expect(await Order.countDocuments()).toBe(0);
+  });
+
+  describe('when a slot is full', () => {
+    const capacity = config.scheduling.slotCapacity;
+    beforeEach(() => { config.scheduling.slotCapacity = 1; });
+    afterEach(() => { config.scheduling.slotCapacity = capacity; });
+
+    it('turns orders away until a booking is cancelled', async () => {
+      const product = await createProduct({ stock: 5 });
+      const requestedAt = tomorrowAt('19:00');
+      const bola = customerDetails({ email: 'bola@example.com' });
+
+      const first = await placeOrder(orderBody([{ product }], { requestedAt }));
+      expect(first.status).toBe(201);
+
+      const full = await placeOrder(orderBody([{ product }], { requestedAt: tomorrowAt('19:20'), customer: bola }));
+      expect(full.status).toBe(409);
+      expect(full.body.code).toBe('SLOT_FULL');
+      expect((await Product.findById(product._id)).stock).toBe(4);
+
+      const cancelled = await api().post(`/api/orders/${first.body.orderId}/cancel`).send({ email: 'ada@example.com' });
+      expect(cancelled.status).toBe(200);
+
+      expect((await placeOrder(orderBody([{ product }], { requestedAt, customer: bola }))).status).toBe(201);
+    });
+  });
+});
+
+describe('releaseDueOrders', () => {
+  it('moves pre-orders into the kitchen queue at their release time', async () => {
+    const requestedAt = tomorrowAt('12:00');
+    const { orderId, order } = (await placeOrder(orderBody([{ product: await createProduct() }], { requestedAt }))).body;
+    const releaseAt = new Date(order.releaseAt);
+
+    expect(await releaseDueOrders(new Date(releaseAt.getTime() - 60 * 1000))).toBe(0);
+    expect(await releaseDueOrders(releaseAt)).toBe(1);
+
+    const released = await Order.findById(orderId);
+    expect(released.status).toBe('received');
+    expect(released.statusHistory[1].by).toMatchObject({ kind: 'system' });
+
+    const tracked = await api().get(`/api/orders/track/${released.orderNumber}?email=ada@example.com`);
+    expect(tracked.body.order.estimatedAt).toBe(requestedAt.toISOString());
+
+    expect(await releaseDueOrders(releaseAt)).toBe(0);
+  });
+});
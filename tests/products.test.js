@@ -0,0 +1,454 @@
+const fs = require('fs');
+const path = require('path');
+const { api, auth, staffToken, createCategory, createProduct, eventually } = require('./helpers/fixtures');
+const { Product } = require('../models');
+
+const image = Buffer.from('fake image');
+const uploadedFile = (imageUrl) => path.join(process.env.UPLOADS_DIR, path.basename(imageUrl));
+
+describe('POST /api/products', () => {
+  let owner;
+  let category;
+
+  beforeEach(async () => {
+    owner = await staffToken('owner');
+    category = await createCategory({ name: 'Grills' });
+  });
+
+  it('creates a product with an uploaded image', async () => {
+    const res = await api()
+      .post('/api/products')
+      .set(auth(owner))
+      .field('name', 'Chicken Suya')
+      .field('description', 'Spicy grilled chicken')
+      .field('price', '2500')
+      .field('category', String(category._id))
+      .field('optionGroups', JSON.stringify([{ name: 'Size', kind: 'variant', options: [{ name: 'Regular' }, { name: 'Large', priceDelta: 1000 }] }]))
+      .attach('image', image, { filename: 'suya.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.product.price).toBe(2500);
+    expect(res.body.product.imageUrl).toMatch(/^\/uploads\/\d+-[0-9a-f]{12}\.jpg$/);
+    expect(res.body.product.imageRef).toEqual({ storage: 'local', key: path.basename(res.body.product.imageUrl) });
+
+    const served = await api().get(res.body.product.imageUrl);
+    expect(served.status).toBe(200);
+    expect(served.headers['content-type']).toBe('image/jpeg');
+    expect(served.headers['x-content-type-options']).toBe('nosniff');
+    expect(res.body.product.category.name).toBe('Grills');
+    expect(res.body.product.optionGroups[0].options).toHaveLength(2);
+  });
+
+  it('reports every invalid field', async () => {
+    const res = await api().post('/api/products').set(auth(owner)).send({ name: 'Suya', price: -5, category: 'nope' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'description', message: 'Product description is required', in: 'body' },
+      { field: 'price', message: 'Valid product price is required', in: 'body' },
+      { field: 'category', message: 'Product category is required', in: 'body' }
+    ]);
+  });
+
+  it('discards the upload when the product is rejected', async () => {
+    const res = await api()
+      .post('/api/products')
+      .set(auth(owner))
+      .field('name', 'Chicken Suya')
+      .attach('image', image, { filename: 'suya.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(400);
+    await eventually(() => expect(fs.readdirSync(process.env.UPLOADS_DIR)).toEqual([]));
+  });
+
+  it('rejects an unknown category', async () => {
+    const res = await api()
+      .post('/api/products')
+      .set(auth(owner))
+      .send({ name: 'Suya', description: 'Spicy', price: 2500, category: '64b7f0c2a1b2c3d4e5f60718' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Product category not found');
+  });
+
+  it('rejects a duplicate SKU', async () => {
+    await createProduct({ category: category._id, sku: 'SUYA-1' });
+
+    const res = await api()
+      .post('/api/products')
+      .set(auth(owner))
+      .send({ name: 'Suya', description: 'Spicy', price: 2500, category: String(category._id), sku: 'SUYA-1' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('requires an owner', async () => {
+    const kitchen = await staffToken('kitchen');
+    const res = await api().post('/api/products').set(auth(kitchen)).send({});
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/products', () => {
+  let grills;
+
+  beforeEach(async () => {
+    grills = await createCategory({ name: 'Grills' });
+    const drinks = await createCategory({ name: 'Drinks' });
+    await createProduct({ name: 'Chicken Suya', price: 2500, category: grills._id });
+    await createProduct({ name: 'Beef Suya', price: 3000, category: grills._id, stock: 0 });
+    await createProduct({ name: 'Zobo', description: 'Hibiscus drink', price: 800, category: drinks._id });
+  });
+
+  it('paginates newest first', async () => {
+    const res = await api().get('/api/products?limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.products.map(product => product.name)).toEqual(['Zobo', 'Beef Suya']);
+    expect(res.body.pagination).toEqual({ page: 1, limit: 2, total: 3, pages: 2, hasNextPage: true });
+  });
+
+  it('searches by text', async () => {
+    const res = await api().get('/api/products?q=suya');
+
+    expect(res.body.products).toHaveLength(2);
+  });
+
+  it('filters by category slug, price and availability', async () => {
+    const byCategory = await api().get('/api/products?category=grills&sort=price_asc');
+    expect(byCategory.body.products.map(product => product.name)).toEqual(['Chicken Suya', 'Beef Suya']);
+
+    const byPrice = await api().get('/api/products?minPrice=1000&maxPrice=2800');
+    expect(byPrice.body.products.map(product => product.name)).toEqual(['Chicken Suya']);
+
+    const soldOut = await api().get('/api/products?available=false');
+    expect(soldOut.body.products.map(product => product.name)).toEqual(['Beef Suya']);
+  });
+
+  it('returns nothing for an unknown category slug', async () => {
+    const res = await api().get('/api/products?category=desserts');
+
+    expect(res.status).toBe(200);
+    expect(res.body.products).toEqual([]);
+  });
+
+  it('validates query parameters', async () => {
+    const res = await api().get('/api/products?sort=cheapest&limit=500&available=maybe');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['available', 'sort', 'limit']);
+
+    const relevance = await api().get('/api/products?sort=relevance');
+    expect(relevance.status).toBe(400);
+  });
+});
+
+describe('PUT /api/products/:id', () => {
+  let owner;
+  let product;
+
+  beforeEach(async () => {
+    owner = await staffToken('owner');
+    product = await createProduct({ name: 'Chicken Suya' });
+  });
+
+  it('updates the product', async () => {
+    const res = await api()
+      .put(`/api/products/${product._id}`)
+      .set(auth(owner))
+      .send({ name: 'Chicken Suya (Large)', description: 'Spicy', price: 3500, category: String(product.category) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.product.name).toBe('Chicken Suya (Large)');
+    expect(res.body.product.price).toBe(3500);
+  });
+
+  it('rejects option groups with malformed ids', async () => {
+    const res = await api()
+      .put(`/api/products/${product._id}`)
+      .set(auth(owner))
+      .send({
+        name: 'Chicken Suya',
+        description: 'Spicy',
+        price: 2500,
+        category: String(product.category),
+        optionGroups: [{ name: 'Size', kind: 'variant', options: [{ _id: 'not-an-id', name: 'Large' }] }]
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('optionGroups[0].options[0]._id must be a valid ID');
+  });
+
+  it('only accepts JPG, PNG or WebP images', async () => {
+    const upload = (filename, contentType) => api()
+      .put(`/api/products/${product._id}`)
+      .set(auth(owner))
+      .field('name', 'Chicken Suya')
+      .attach('image', image, { filename, contentType });
+
+    const page = await upload('x.html', 'image/png');
+    expect(page.status).toBe(400);
+    expect(page.body.message).toBe('Only JPG, PNG or WebP images are allowed');
+
+    expect((await upload('x.svg', 'image/svg+xml')).status).toBe(400);
+  });
+
+  it('replaces the image and removes the old one', async () => {
+    const upload = (filename) => api()
+      .put(`/api/products/${product._id}`)
+      .set(auth(owner))
+      .field('name', 'Chicken Suya')
+      .field('description', 'Spicy')
+      .field('price', '2500')
+      .field('category', String(product.category))
+      .attach('image', image, { filename, contentType: 'image/jpeg' });
+
+    const first = await upload('first.jpg');
+    expect(first.status).toBe(200);
+    expect(fs.existsSync(uploadedFile(first.body.product.imageUrl))).toBe(true);
+
+    const second = await upload('second.jpg');
+    expect(second.body.product.imageUrl).not.toBe(first.body.product.imageUrl);
+    expect(fs.existsSync(uploadedFile(first.body.product.imageUrl))).toBe(false);
+    expect(fs.existsSync(uploadedFile(second.body.product.imageUrl))).toBe(true);
+  });
+
+  it('keeps the image when none is sent', async () => {
+    await Product.updateOne({ _id: product._id }, { imageUrl: 'https://example.com/suya.jpg' });
+
+    const res = await api()
+      .put(`/api/products/${product._id}`)
+      .set(auth(owner))
+      .send({ name: 'Chicken Suya', description: 'Spicy', price: 2500, category: String(product.category) });
+
+    expect(res.body.product.imageUrl).toBe('https://example.com/suya.jpg');
+  });
+
+  it('rejects a malformed id and returns 404 for a missing product', async () => {
+    const body = { name: 'Suya', description: 'Spicy', price: 3500, category: String(product.category) };
+
+    const malformed = await api().put('/api/products/123').set(auth(owner)).send(body);
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.message).toBe('Invalid product ID');
+
+    const missing = await api().put('/api/products/64b7f0c2a1b2c3d4e5f60718').set(auth(owner)).send(body);
+    expect(missing.status).toBe(404);
+  });
+});
+
+describe('PATCH /api/products/:id/availability', () => {
+  it('lets the kitchen mark a product sold out and set stock', async () => {
+    const kitchen = await staffToken('kitchen');
+    const product = await createProduct();
+
+    const res = await api()
+      .patch(`/api/products/${product._id}/availability`)
+      .set(auth(kitchen))
+      .send({ available: false, stock: 5 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.product.available).toBe(false);
+    expect(res.body.product.stock).toBe(5);
+  });
+
+  it('rejects an empty update and bad serving windows', async () => {
+    const kitchen = await staffToken('kitchen');
+    const product = await createProduct();
+
+    const empty = await api().patch(`/api/products/${product._id}/availability`).set(auth(kitchen)).send({});
+    expect(empty.status).toBe(400);
+
+    const windows = await api()
+      .patch(`/api/products/${product._id}/availability`)
+      .set(auth(kitchen))
+      .send({ availabilityWindows: [{ start: '25:00', end: '10:00' }] });
+    expect(windows.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/products/:id', () => {
+  it('deletes the product and its image', async () => {
+    const owner = await staffToken('owner');
+    const category = await createCategory();
+    const created = await api()
+      .post('/api/products')
+      .set(auth(owner))
+      .field('name', 'Chicken Suya')
+      .field('description', 'Spicy')
+      .field('price', '2500')
+      .field('category', String(category._id))
+      .attach('image', image, { filename: 'suya.jpg', contentType: 'image/jpeg' });
+    const product = created.body.product;
+    expect(fs.existsSync(uploadedFile(product.imageUrl))).toBe(true);
+
+    const res = await api().delete(`/api/products/${product._id}`).set(auth(owner));
+
+    expect(res.status).toBe(200);
+    expect(await Product.countDocuments()).toBe(0);
+    expect(fs.existsSync(uploadedFile(product.imageUrl))).toBe(false);
+
+    const again = await api().delete(`/api/products/${product._id}`).set(auth(owner));
+    expect(again.status).toBe(404);
+  });
+});
+
+describe('POST /api/products/import', () => {
+  let owner;
+
+  beforeEach(async () => {
+    owner = await staffToken('owner');
+    await createCategory({ name: 'Grills' });
+  });
+
+  const csv = [
+    'Name,Description,Price,Category,SKU',
+    'Chicken Suya,Spicy grilled chicken,2500,grills,SUYA-1',
+    '"Beef Suya, large","Thin-sliced beef",3000,Grills,SUYA-2',
+    'Mystery,No category,100,Desserts,'
+  ].join('\n');
+
+  it('reports rows without saving on a dry run', async () => {
+    const res = await api()
+      .post('/api/products/import?dryRun=true')
+      .set(auth(owner))
+      .attach('file', Buffer.from(csv), 'products.csv');
+
+    expect(res.status).toBe(200);
+    expect(res.body.dryRun).toBe(true);
+    expect(res.body.summary).toEqual({ total: 3, created: 2, updated: 0, rejected: 1 });
+    expect(res.body.rows[2]).toMatchObject({ row: 4, status: 'rejected', error: 'Category not found: Desserts' });
+    expect(await Product.countDocuments()).toBe(0);
+  });
+
+  it('creates new products and updates existing ones by SKU', async () => {
+    await api().post('/api/products/import').set(auth(owner)).attach('file', Buffer.from(csv), 'products.csv');
+    expect(await Product.countDocuments()).toBe(2);
+
+    const res = await api()
+      .post('/api/products/import')
+      .set(auth(owner))
+      .send({ products: [{ sku: 'SUYA-1', price: 2800 }] });
+
+    expect(res.body.summary).toMatchObject({ created: 0, updated: 1 });
+    expect((await Product.findOne({ sku: 'SUYA-1' })).price).toBe(2800);
+  });
+
+  it('rejects malformed rows and imports the rest', async () => {
+    const malformed = [
+      'Name,Description,Price,Category',
+      'Chicken Suya,Spicy grilled chicken,2500,grills',
+      'Beef 12" Suya,Thin-sliced beef,3000,grills',
+      'Fish,Grilled,4000,grills,extra'
+    ].join('\n');
+
+    const res = await api().post('/api/products/import').set(auth(owner)).attach('file', Buffer.from(malformed), 'products.csv');
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ total: 3, created: 1, updated: 0, rejected: 2 });
+    expect(res.body.rows[1]).toMatchObject({ row: 3, status: 'rejected', error: expect.stringMatching(/^Stray quote in column 1/) });
+    expect(res.body.rows[2]).toMatchObject({ row: 4, status: 'rejected', error: 'Row has 5 columns but the header has 4' });
+    expect(await Product.countDocuments()).toBe(1);
+  });
+
+  it('rejects a file without products', async () => {
+    const res = await api().post('/api/products/import').set(auth(owner)).attach('file', Buffer.from('Name\n'), 'products.csv');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('rejects other file types and oversized files', async () => {
+    const wrongType = await api().post('/api/products/import').set(auth(owner)).attach('file', Buffer.from(csv), 'products.xlsx');
+    expect(wrongType.status).toBe(400);
+    expect(wrongType.body.message).toBe('Only .csv or .json files can be imported');
+
+    const tooBig = await api().post('/api/products/import').set(auth(owner)).attach('file', Buffer.alloc(3 * 1024 * 1024, 'a'), 'products.csv');
+    expect(tooBig.status).toBe(400);
+    expect(tooBig.body.message).toBe('File is too large');
+  });
+});
+
+describe('category routes', () => {
+  let owner;
+
+  beforeEach(async () => {
+    owner = await staffToken('owner');
+  });
+
+  const create = (body) => api().post('/api/categories').set(auth(owner)).send(body);
+
+  it('requires an owner to make changes', async () => {
+    expect((await api().post('/api/categories').send({ name: 'Grills' })).status).toBe(401);
+
+    const kitchen = await staffToken('kitchen');
+    expect((await api().post('/api/categories').set(auth(kitchen)).send({ name: 'Grills' })).status).toBe(403);
+    expect((await api().get('/api/categories?includeInactive=true')).status).toBe(401);
+  });
+
+  it('creates categories in order and rejects duplicate names', async () => {
+    const grills = await create({ name: 'Grills' });
+    expect(grills.status).toBe(201);
+    expect(grills.body.category).toMatchObject({ name: 'Grills', slug: 'grills', displayOrder: 0, active: true });
+    expect((await create({ name: 'Drinks' })).body.category.displayOrder).toBe(1);
+
+    const duplicate = await create({ name: 'grills' });
+    expect(duplicate.status).toBe(409);
+
+    const listed = await api().get('/api/categories');
+    expect(listed.body.map(category => category.name)).toEqual(['Grills', 'Drinks']);
+  });
+
+  it('updates a category and hides inactive ones from customers', async () => {
+    const { category } = (await create({ name: 'Soups' })).body;
+
+    const updated = await api().put(`/api/categories/${category._id}`).set(auth(owner)).send({ name: 'Pepper Soups', active: false });
+    expect(updated.status).toBe(200);
+    expect(updated.body.category).toMatchObject({ name: 'Pepper Soups', slug: 'pepper-soups', active: false });
+
+    expect((await api().get('/api/categories')).body).toEqual([]);
+    const all = await api().get('/api/categories?includeInactive=true').set(auth(owner));
+    expect(all.body.map(entry => entry.name)).toEqual(['Pepper Soups']);
+
+    const missing = await api().put('/api/categories/64b7f0c2a1b2c3d4e5f60718').set(auth(owner)).send({ name: 'Gone' });
+    expect(missing.status).toBe(404);
+  });
+
+  it('deletes a category only once no products use it', async () => {
+    const { category } = (await create({ name: 'Grills' })).body;
+    const product = await createProduct({ category: category._id });
+
+    const inUse = await api().delete(`/api/categories/${category._id}`).set(auth(owner));
+    expect(inUse.status).toBe(409);
+
+    await Product.findByIdAndDelete(product._id);
+    expect((await api().delete(`/api/categories/${category._id}`).set(auth(owner))).status).toBe(200);
+    expect((await api().delete(`/api/categories/${category._id}`).set(auth(owner))).status).toBe(404);
+  });
+});
+
+describe('category images', () => {
+  let owner;
+
+  beforeEach(async () => {
+    owner = await staffToken('owner');
+  });
+
+  const upload = (req, filename) => req.set(auth(owner)).field('name', 'Grills').attach('image', image, filename);
+
+  it('removes a replaced or deleted image', async () => {
+    const created = await upload(api().post('/api/categories'), 'first.jpg');
+    expect(created.status).toBe(201);
+    expect(created.body.category.imageRef).toEqual({ storage: 'local', key: path.basename(created.body.category.imageUrl) });
+    const first = uploadedFile(created.body.category.imageUrl);
+
+    const replaced = await upload(api().put(`/api/categories/${created.body.category._id}`), 'second.jpg');
+    expect(replaced.status).toBe(200);
+    const second = uploadedFile(replaced.body.category.imageUrl);
+    expect(fs.existsSync(first)).toBe(false);
+    expect(fs.existsSync(second)).toBe(true);
+
+    const deleted = await api().delete(`/api/categories/${created.body.category._id}`).set(auth(owner));
+    expect(deleted.status).toBe(200);
+    expect(fs.existsSync(second)).toBe(false);
+  });
+});
@@ -0,0 +1,62 @@
+const { api, auth, staffToken, createOrder } = require('./helpers/fixtures');
+
+// A delivered order placed at `createdAt` (store time is UTC+1)
+const orderAt = (createdAt, total, fields = {}) => createOrder({ createdAt, total, status: 'delivered', ...fields });
+
+describe('GET /api/reports', () => {
+  let owner;
+
+  beforeEach(async () => {
+    owner = await staffToken('owner');
+    await orderAt('2026-10-05T10:00:00+01:00', 3000);
+    await orderAt('2026-10-05T23:30:00+01:00', 2000);
+    await orderAt('2026-10-06T00:30:00+01:00', 1000); // still 5 October in UTC
+    await orderAt('2026-10-12T12:00:00+01:00', 4000);
+    await orderAt('2026-10-05T12:00:00+01:00', 9999, { status: 'cancelled' });
+  });
+
+  const report = (path) => api().get(`/api/reports/${path}`).set(auth(owner));
+
+  it('groups sales by store day within the range', async () => {
+    const res = await report('sales?from=2026-10-05&to=2026-10-06');
+
+    expect(res.status).toBe(200);
+    expect(res.body.sales).toEqual([
+      { period: '2026-10-05', orders: 2, revenue: 5000, discounts: 0, deliveryFees: 0, averageOrderValue: 2500 },
+      { period: '2026-10-06', orders: 1, revenue: 1000, discounts: 0, deliveryFees: 0, averageOrderValue: 1000 }
+    ]);
+  });
+
+  it('groups sales by week starting Monday', async () => {
+    const res = await report('sales?from=2026-10-01&to=2026-10-31&interval=week');
+
+    expect(res.body.sales.map(({ period, orders, revenue }) => ({ period, orders, revenue }))).toEqual([
+      { period: '2026-10-05', orders: 3, revenue: 6000 },
+      { period: '2026-10-12', orders: 1, revenue: 4000 }
+    ]);
+  });
+
+  it('sums the range, leaving out cancelled orders', async () => {
+    const res = await report('summary?from=2026-10-05&to=2026-10-05');
+
+    expect(res.body.summary).toEqual({ orders: 2, revenue: 5000, discounts: 0, deliveryFees: 0, averageOrderValue: 2500 });
+  });
+
+  it('rejects an invalid range or interval', async () => {
+    const from = await report('summary?from=yesterday');
+    expect(from.status).toBe(400);
+    expect(from.body.message).toBe('from must be a date (YYYY-MM-DD) or ISO timestamp');
+
+    const to = await report('sales?to=2026-13-45');
+    expect(to.status).toBe(400);
+
+    const interval = await report('sales?interval=year');
+    expect(interval.status).toBe(400);
+  });
+
+  it('is for owners only', async () => {
+    const kitchen = await staffToken('kitchen');
+
+    expect((await api().get('/api/reports/summary').set(auth(kitchen))).status).toBe(403);
+  });
+});
@@ -0,0 +1,16 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Environment for the test run - set before any app module is loaded
+process.env.NODE_ENV = 'test';
+process.env.AUTH_SECRET = 'test-auth-secret';
+process.env.MAIL_TRANSPORT = 'test';
+process.env.NOTIFY_CHANNELS = 'email';
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.FAKE_PAYMENT_SECRET = 'test-fake-payment-secret';
+process.env.IMAGE_STORAGE = 'local'; // uploads go to a throwaway folder, removed after each file
+process.env.UPLOADS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'obiggrills-uploads-'));
+delete process.env.ADMIN_EMAIL;
+delete process.env.OWNER_NOTIFY_EMAIL;
+delete process.env.OWNER_NOTIFY_PHONE;
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const db = require('../helpers/db');
+const rateLimit = require('../../services/rateLimit');
+const { registerTransport } = require('../../services/mailer');
+const payments = require('../../services/payments');
+
+// Sent mail is kept here so tests can read login codes and notifications
+global.sentMail = [];
+registerTransport('test', {
+  async send(message) {
+    global.sentMail.push(message);
+    return { id: `test-${global.sentMail.length}` };
+  }
+});
+
+// The app logs every request; keep test output to failures
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+beforeAll(() => db.connect());
+afterEach(async () => {
+  global.sentMail = [];
+  await rateLimit.resetAll();
+  payments.fake.reset();
+  await db.clear();
+});
+afterAll(async () => {
+  await db.disconnect();
+  fs.rmSync(process.env.UPLOADS_DIR, { recursive: true, force: true });
+});
@@ -0,0 +1,47 @@
+const { api } = require('./helpers/fixtures');
+
+describe('system routes', () => {
+  it('lists the endpoints on /', async () => {
+    const res = await api().get('/');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('running');
+    expect(res.body.database).toBe('connected');
+    expect(res.body.endpoints).toEqual(expect.arrayContaining(['GET /api/products', 'POST /api/orders']));
+  });
+
+  it('answers /api/test and /api/health', async () => {
+    const test = await api().get('/api/test');
+    expect(test.status).toBe(200);
+    expect(test.body.success).toBe(true);
+
+    const health = await api().get('/api/health');
+    expect(health.status).toBe(200);
+    expect(health.body.status).toBe('healthy');
+  });
+
+  it('answers CORS preflight requests', async () => {
+    const res = await api().options('/api/orders').set('Origin', 'https://obiggrills.netlify.app');
+
+    expect(res.status).toBe(204);
+    expect(res.headers['access-control-allow-origin']).toBe('https://obiggrills.netlify.app');
+  });
+});
+
+describe('404 handling', () => {
+  it('returns the route list for unknown routes', async () => {
+    const res = await api().get('/api/nope');
+
+    expect(res.status).toBe(404);
+    expect(res.body.success).toBe(false);
+    expect(res.body.message).toBe('Route not found: GET /api/nope');
+    expect(res.body.availableRoutes).toContain('GET /');
+  });
+
+  it('treats a known path with the wrong method as not found', async () => {
+    const res = await api().delete('/api/orders');
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Route not found: DELETE /api/orders');
+  });
+});
@@ -0,0 +1,288 @@
+const { api, auth, staffToken, createCustomer, createProduct, customerDetails, orderBody } = require('./helpers/fixtures');
+const { Admin, User } = require('../models');
+const { hashPassword } = require('../services/auth');
+const { assertMailConfigured } = require('../services/mailer');
+
+describe('POST /api/users/create-basic', () => {
+  it('creates a user and returns only public fields', async () => {
+    const res = await api().post('/api/users/create-basic').send({ email: 'Ada@Example.com', nickname: 'Ada' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toEqual({ _id: expect.any(String), email: 'ada@example.com', name: 'Ada', nickname: 'Ada' });
+  });
+
+  it('does not reveal or change an existing user', async () => {
+    await User.create({ email: 'ada@example.com', name: 'Ada Obi', nickname: 'Ada', phone: '0801' });
+
+    const res = await api().post('/api/users/create-basic').send({ email: 'ada@example.com', nickname: 'Other' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.user).toBeUndefined();
+    expect(await User.findOne({ email: 'ada@example.com' })).toMatchObject({ name: 'Ada Obi', nickname: 'Ada' });
+  });
+
+  it('rejects a missing nickname and a bad email together', async () => {
+    const res = await api().post('/api/users/create-basic').send({ email: 'not-an-email' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.errors).toEqual([
+      { field: 'email', message: 'Email must be a valid email', in: 'body' },
+      { field: 'nickname', message: 'Nickname is required', in: 'body' }
+    ]);
+  });
+});
+
+describe('POST /api/users/register', () => {
+  it('creates a user with a nickname from the first name', async () => {
+    const res = await api().post('/api/users/register').send({ name: 'Ada Obi', email: 'ada@example.com', phone: '08012345678' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.nickname).toBe('Ada');
+  });
+
+  it('leaves an existing user untouched', async () => {
+    await User.create({ email: 'ada@example.com', name: 'Ada Obi', nickname: 'Ada', phone: '0801' });
+
+    const res = await api().post('/api/users/register').send({ name: 'Someone Else', email: 'ada@example.com', phone: '0809' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.user).toBeUndefined();
+    expect(await User.findOne({ email: 'ada@example.com' })).toMatchObject({ name: 'Ada Obi', nickname: 'Ada', phone: '0801' });
+  });
+
+  it('requires name, email and phone', async () => {
+    const res = await api().post('/api/users/register').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['name', 'email', 'phone']);
+  });
+});
+
+describe('signup rate limits', () => {
+  it('limits signups per email across both routes', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      await api().post('/api/users/create-basic').send({ email: 'ada@example.com', nickname: 'Ada' });
+      await api().post('/api/users/register').send({ name: 'Ada Obi', email: 'ADA@example.com', phone: '0801' });
+    }
+
+    const res = await api().post('/api/users/register').send({ name: 'Ada Obi', email: 'ada@example.com', phone: '0801' });
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('limits signups per IP', async () => {
+    for (let i = 0; i < 10; i += 1) {
+      const res = await api().post('/api/users/create-basic').send({ email: `user${i}@example.com`, nickname: 'User' });
+      expect(res.status).toBe(201);
+      expect(res.headers['ratelimit-remaining']).toBe(String(9 - i));
+    }
+
+    const res = await api().post('/api/users/create-basic').send({ email: 'user10@example.com', nickname: 'User' });
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toBe('Too many requests. Please try again later.');
+  });
+});
+
+describe('staff login rate limits', () => {
+  const login = (email, password = 'wrong-password') => api().post('/api/admin/login').send({ email, password });
+
+  beforeEach(async () => {
+    await Admin.create({ name: 'Owner', email: 'owner@staff.test', passwordHash: await hashPassword('right-password'), role: 'owner' });
+  });
+
+  it('limits failed attempts per account email', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      expect((await login('owner@staff.test')).status).toBe(401);
+    }
+
+    const res = await login('OWNER@staff.test');
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toBe('Too many failed login attempts for this account. Please try again later.');
+  });
+
+  it('does not count successful logins', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      expect((await login('owner@staff.test', 'right-password')).status).toBe(200);
+    }
+
+    expect((await login('owner@staff.test')).status).toBe(401);
+    expect((await login('owner@staff.test', 'right-password')).status).toBe(200);
+  });
+
+  it('limits attempts per IP', async () => {
+    for (let i = 0; i < 10; i += 1) {
+      await login(`staff${i}@staff.test`);
+    }
+
+    expect((await login('another@staff.test')).status).toBe(429);
+  });
+});
+
+describe('staff user routes', () => {
+  let owner;
+
+  beforeEach(async () => {
+    owner = await staffToken('owner');
+    await User.create({ email: 'ada@example.com', name: 'Ada', addresses: [{ address: '12 Admiralty Way' }] });
+  });
+
+  it('requires an owner', async () => {
+    expect((await api().get('/api/users')).status).toBe(401);
+
+    const kitchen = await staffToken('kitchen');
+    const res = await api().get('/api/users').set(auth(kitchen));
+    expect(res.status).toBe(403);
+  });
+
+  it('lists users', async () => {
+    const res = await api().get('/api/users').set(auth(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0].otpHash).toBeUndefined();
+  });
+
+  it('looks a user up by email', async () => {
+    const found = await api().get('/api/users/ADA@example.com').set(auth(owner));
+    expect(found.status).toBe(200);
+    expect(found.body.email).toBe('ada@example.com');
+
+    const missing = await api().get('/api/users/nobody@example.com').set(auth(owner));
+    expect(missing.status).toBe(404);
+  });
+
+  it('updates whitelisted fields only', async () => {
+    const res = await api()
+      .patch('/api/users/ada@example.com')
+      .set(auth(owner))
+      .send({ phone: '0802', preferences: { deliveryInstructions: 'Call on arrival' }, otpHash: 'x', email: 'new@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.phone).toBe('0802');
+    expect(res.body.user.email).toBe('ada@example.com');
+    expect(res.body.user.preferences.deliveryInstructions).toBe('Call on arrival');
+    expect(res.body.user.addresses).toHaveLength(1);
+  });
+
+  it('validates address updates', async () => {
+    const res = await api().patch('/api/users/ada@example.com').set(auth(owner)).send({ addresses: [{ name: 'Home' }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toEqual({ field: 'addresses[0].address', message: 'Address is required', in: 'body' });
+  });
+
+  it('lists users on the debug route outside production', async () => {
+    const res = await api().get('/api/debug/users').set(auth(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+  });
+});
+
+describe('customer login by email code', () => {
+  it('signs a customer in with the emailed code', async () => {
+    const requested = await api().post('/api/auth/otp/request').send({ email: 'ada@example.com' });
+    expect(requested.status).toBe(200);
+
+    const [mail] = global.sentMail;
+    expect(mail.to).toBe('ada@example.com');
+    const code = mail.text.match(/\d{6}/)[0];
+
+    const wrong = await api().post('/api/auth/otp/verify').send({ email: 'ada@example.com', code: code === '000000' ? '111111' : '000000' });
+    expect(wrong.status).toBe(401);
+
+    const verified = await api().post('/api/auth/otp/verify').send({ email: 'ada@example.com', code });
+    expect(verified.status).toBe(200);
+
+    const me = await api().get('/api/me').set(auth(verified.body.token));
+    expect(me.status).toBe(200);
+    expect(me.body.email).toBe('ada@example.com');
+
+    const reused = await api().post('/api/auth/otp/verify').send({ email: 'ada@example.com', code });
+    expect(reused.status).toBe(401);
+  });
+
+  it('limits how often codes are sent', async () => {
+    await api().post('/api/auth/otp/request').send({ email: 'ada@example.com' });
+    const again = await api().post('/api/auth/otp/request').send({ email: 'ada@example.com' });
+
+    expect(again.status).toBe(429);
+  });
+});
+
+describe('mail transport', () => {
+  const env = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+  afterEach(() => Object.assign(process.env, env));
+
+  it('prints mail to the console only outside production', () => {
+    delete process.env.MAIL_TRANSPORT;
+    expect(assertMailConfigured()).toBe('console');
+
+    process.env.NODE_ENV = 'production';
+    expect(() => assertMailConfigured()).toThrow('Mail transport "console" doesn\'t deliver email');
+
+    process.env.MAIL_TRANSPORT = 'test';
+    expect(assertMailConfigured()).toBe('test');
+  });
+});
+
+describe('customer account routes', () => {
+  let customer;
+
+  beforeEach(async () => {
+    customer = await createCustomer({ email: 'ada@example.com' });
+  });
+
+  it('requires a customer token', async () => {
+    expect((await api().get('/api/me')).status).toBe(401);
+
+    const staff = await staffToken('owner');
+    expect((await api().get('/api/me').set(auth(staff))).status).toBe(401);
+  });
+
+  it('updates the profile', async () => {
+    const res = await api().patch('/api/me').set(auth(customer.token)).send({ nickname: 'Ada O', preferences: { favoriteItems: ['suya'] } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.nickname).toBe('Ada O');
+    expect(res.body.user.preferences.favoriteItems).toEqual(['suya']);
+  });
+
+  it('adds, updates and removes addresses', async () => {
+    const added = await api().post('/api/me/addresses').set(auth(customer.token)).send({ name: 'Home', address: '12 Admiralty Way', isDefault: true });
+    expect(added.status).toBe(201);
+
+    const [address] = (await api().get('/api/me/addresses').set(auth(customer.token))).body;
+    expect(address.isDefault).toBe(true);
+
+    const updated = await api().patch(`/api/me/addresses/${address._id}`).set(auth(customer.token)).send({ address: '3 Bourdillon Rd' });
+    expect(updated.status).toBe(200);
+
+    const removed = await api().delete(`/api/me/addresses/${address._id}`).set(auth(customer.token));
+    expect(removed.status).toBe(200);
+    expect((await api().get('/api/me/addresses').set(auth(customer.token))).body).toEqual([]);
+  });
+
+  it('rejects a blank address', async () => {
+    const res = await api().post('/api/me/addresses').set(auth(customer.token)).send({ address: '  ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Address is required');
+  });
+
+  it('lists only the customer\'s own orders', async () => {
+    const product = await createProduct();
+    await api().post('/api/orders').set(auth(customer.token)).send(orderBody([{ product }]));
+    await api().post('/api/orders').send(orderBody([{ product }], { customer: customerDetails({ email: 'someone@example.com' }) }));
+
+    const res = await api().get('/api/me/orders').set(auth(customer.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0].customer.email).toBe('ada@example.com');
+  });
+});
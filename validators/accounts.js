@@ -0,0 +1,51 @@
+const { ROLES } = require('../middleware/auth');
+const { rules } = require('../services/validation');
+const { emailRule, passwordRule } = require('./common');
+
+// Fields a customer is allowed to change on their own profile
+const profileInput = {
+  name: rules.string({ max: 100 }),
+  nickname: rules.string({ max: 50 }),
+  phone: rules.string({ max: 30 }),
+  preferences: rules.object({
+    favoriteItems: rules.array(rules.string({ max: 100 }), { max: 100 }),
+    deliveryInstructions: rules.string({ trim: false, max: 500 })
+  })
+};
+
+const addressInput = {
+  name: rules.string({ max: 100, default: '' }),
+  address: rules.string({ required: true, empty: false, max: 500, label: 'Address' }),
+  isDefault: rules.boolean({ default: false })
+};
+
+// Validated profile fields as $set paths, so preferences are updated key by key
+const profileUpdates = (fields) => {
+  const { preferences, ...updates } = fields;
+  Object.entries(preferences || {}).forEach(([key, value]) => {
+    updates[`preferences.${key}`] = value;
+  });
+  return updates;
+};
+
+const staffInput = {
+  name: rules.string({ max: 100, default: '' }),
+  email: emailRule({ required: true, label: 'Email' }),
+  password: passwordRule({ required: true }),
+  role: rules.oneOf(ROLES, { default: 'kitchen', message: `Role must be one of: ${ROLES.join(', ')}` }),
+  active: rules.boolean(),
+};
+
+// Fields staff may change on a customer (PATCH /api/users/:email) - email is the account key
+const userUpdateInput = {
+  ...profileInput,
+  addresses: rules.array(rules.object(addressInput), { max: 20 })
+};
+
+module.exports = {
+  profileInput,
+  addressInput,
+  profileUpdates,
+  staffInput,
+  userUpdateInput,
+};
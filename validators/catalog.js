@@ -0,0 +1,99 @@
+const { normalizeOptionGroups } = require('../services/productOptions');
+const { normalizeAvailability } = require('../services/availability');
+const { rules } = require('../services/validation');
+const { COUPON_TYPES } = require('../services/coupons');
+
+// Menu, delivery zone and coupon request shapes
+
+const deliveryZoneInput = {
+  name: rules.string({ required: true, max: 100, label: 'Zone name' }),
+  description: rules.string({ max: 500 }),
+  fee: rules.number({ required: true, min: 0, label: 'Delivery fee' }),
+  freeDeliveryThreshold: rules.number({ min: 0, nullable: true }),
+  minimumOrder: rules.number({ min: 0 }),
+  displayOrder: rules.number({ integer: true }),
+  active: rules.boolean()
+};
+
+const couponInput = {
+  code: rules.string({ required: true, max: 40, label: 'Coupon code' }),
+  description: rules.string({ max: 500 }),
+  type: rules.oneOf(COUPON_TYPES, { required: true, message: `Coupon type must be one of: ${COUPON_TYPES.join(', ')}` }),
+  value: rules.number({ required: true, min: 0, label: 'Coupon value' }),
+  maxDiscount: rules.number({ min: 0, nullable: true }),
+  minSubtotal: rules.number({ min: 0 }),
+  startsAt: rules.date({ nullable: true }),
+  expiresAt: rules.date({ nullable: true }),
+  usageLimit: rules.number({ integer: true, min: 1, nullable: true }),
+  perCustomerLimit: rules.number({ integer: true, min: 1, nullable: true }),
+  firstOrderOnly: rules.boolean(),
+  categories: rules.array(rules.objectId(), { split: true }),
+  products: rules.array(rules.objectId(), { split: true }),
+  active: rules.boolean()
+};
+
+const categoryInput = {
+  name: rules.string({ required: true, max: 100, label: 'Category name' }),
+  displayOrder: rules.number({ integer: true }),
+  imageUrl: rules.string({ max: 1000 }),
+  active: rules.boolean()
+};
+
+// Sold-out toggle, stock count and serving windows (also accepted on create/update)
+const availabilityInput = {
+  available: rules.boolean(),
+  stock: rules.number({ integer: true, min: 0, nullable: true }), // null = stop tracking
+  availabilityWindows: rules.custom((value) => {
+    const { updates, error } = normalizeAvailability({ availabilityWindows: value });
+    return error ? { error } : { value: updates.availabilityWindows };
+  })
+};
+
+// Product fields from a create/update request or an import row - the same rules for all.
+// Option groups are left out unless sent, so updates don't wipe them.
+const productInput = {
+  name: rules.string({ required: true, max: 200, label: 'Product name' }),
+  description: rules.string({ required: true, max: 2000, label: 'Product description' }),
+  price: rules.number({ required: true, positive: true, message: 'Valid product price is required' }),
+  category: rules.objectId({ required: true, message: 'Product category is required' }),
+  sku: rules.string({ max: 100, nullable: true }),
+  optionGroups: rules.custom((value) => {
+    const { groups, error } = normalizeOptionGroups(value);
+    return error ? { error } : { value: groups };
+  }),
+  ...availabilityInput
+};
+
+// Catalog sort options for GET /api/products
+const PRODUCT_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+  relevance: { score: { $meta: 'textScore' }, _id: 1 },
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const productListQuery = {
+  q: rules.string({ max: 200 }),
+  category: rules.string({ max: 100 }),
+  minPrice: rules.number({ min: 0 }),
+  maxPrice: rules.number({ min: 0 }),
+  available: rules.boolean(),
+  sort: rules.oneOf(Object.keys(PRODUCT_SORTS)),
+  page: rules.number({ integer: true, min: 1, default: 1 }),
+  limit: rules.number({ integer: true, min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE })
+};
+
+module.exports = {
+  deliveryZoneInput,
+  couponInput,
+  categoryInput,
+  availabilityInput,
+  productInput,
+  PRODUCT_SORTS,
+  productListQuery,
+};
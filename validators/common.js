@@ -0,0 +1,33 @@
+const { rules } = require('../services/validation');
+
+// Request shapes for the validate() middleware, shared across routers.
+// Resource-specific shapes live beside these in validators/.
+
+// Shared field rules
+const idParams = (label) => ({ id: rules.objectId({ required: true, message: `Invalid ${label} ID` }) });
+const emailRule = (options = {}) => rules.string({ lowercase: true, email: true, max: 254, ...options });
+const passwordRule = (options = {}) => rules.string({ trim: false, min: 8, max: 200, label: 'Password', ...options });
+
+// What a cart looks like at checkout and when checking a promo code - prices are never read from it
+const cartInput = {
+  items: rules.array(rules.object({
+    id: rules.objectId({ required: true, label: 'Product' }),
+    quantity: rules.number({ required: true, integer: true, min: 1, max: 100, label: 'Quantity' }),
+    options: rules.array(rules.object({
+      group: rules.string({ required: true, max: 100 }),
+      option: rules.string({ required: true, max: 100 })
+    }), { max: 20 })
+  }), { required: true, min: 1, max: 100, label: 'Cart items' }),
+  deliveryLocation: rules.object({ id: rules.string({ max: 50 }) }),
+  deliveryZoneId: rules.string({ max: 50 })
+};
+
+const listQuery = { includeInactive: rules.boolean({ default: false }) };
+
+module.exports = {
+  idParams,
+  emailRule,
+  passwordRule,
+  cartInput,
+  listQuery,
+};
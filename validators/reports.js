@@ -0,0 +1,13 @@
+const { rules } = require('../services/validation');
+
+// Every report takes ?from=YYYY-MM-DD&to=YYYY-MM-DD (store time, inclusive) and optional
+// ?paymentStatus=paid; cancelled and refunded orders are left out.
+const reportQuery = {
+  from: rules.string({ max: 40 }),
+  to: rules.string({ max: 40 }),
+  paymentStatus: rules.string({ max: 100 })
+};
+
+module.exports = {
+  reportQuery,
+};